@@ -0,0 +1,780 @@
+import BlockmapBuilder from '../builders/blockmapbuilder.class.js';
+import Wad from '../formats/wad.class.js';
+import WadMapWriter from '../formats/wadmapwriter.class.js';
+
+/**
+ * Estimates how close a {@link DoomMap} comes to the static limits of the vanilla
+ * Doom engine, which crashes or draws garbage when they are exceeded.
+ *
+ * Static limits are measured on the lumps the map exports to, with nodes built.
+ * Renderer limits (visplanes and drawsegs) depend on the view, so the map is
+ * rendered from sample positions in every sector, looking in several directions,
+ * by a model of the vanilla renderer that tracks planes and wall ranges without
+ * drawing pixels. The views with the highest counts are reported as hot spots.
+ */
+export default class LimitAnalyzer {
+    /**
+     * Vanilla limits. Counts are limited by the signed 16-bit indices used by the engine,
+     * the blockmap (in bytes) by its signed 16-bit offsets and the savegame (in bytes)
+     * by the fixed size of the save buffer.
+     *
+     * @type {Object<string, number>}
+     */
+    static LIMITS = {
+        vertices: 32767,
+        linedefs: 32767,
+        sidedefs: 32767,
+        sectors: 32767,
+        segs: 32767,
+        subsectors: 32767,
+        nodes: 32767,
+        blockmap: 65536,
+        visplanes: 128,
+        drawsegs: 256,
+        savegame: 0x2c000,
+    };
+
+    /**
+     * Default analysis options.
+     *
+     * @type {{ limits: Object<string, number>, sampleSpacing: number, maxSamplesPerSector: number,
+     *          angles: number, hotspots: number, skyTexture: string, nodes: object }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Overrides for {@link LimitAnalyzer.LIMITS}, e.g. for limit-removing ports. */
+        limits: {},
+        /** Distance between view positions sampled in a sector. */
+        sampleSpacing: 128,
+        /** Largest number of view positions sampled per sector. */
+        maxSamplesPerSector: 16,
+        /** Number of view directions rendered at each position. */
+        angles: 8,
+        /** Number of hot spots reported per renderer limit. */
+        hotspots: 10,
+        /** Ceiling texture of sky sectors. */
+        skyTexture: 'F_SKY1',
+        /** {@link NodeBuilder} options for the nodes the estimate is based on. */
+        nodes: {},
+    };
+
+    /** @type {number} Width of the vanilla screen in pixels. */
+    static #SCREEN_WIDTH = 320;
+    /** @type {number} Height of the vanilla 3D view with the status bar shown. */
+    static #VIEW_HEIGHT = 168;
+    /** @type {number} Height of the player's eyes above the floor. */
+    static #EYE_HEIGHT = 41;
+    /** @type {number} Largest wall scale used by the renderer. */
+    static #MAX_SCALE = 64;
+    /** @type {number} Smallest wall scale used by the renderer. */
+    static #MIN_SCALE = 1 / 256;
+    /** @type {number} Value marking an unused column in a visplane. */
+    static #EMPTY_COLUMN = 0xff;
+
+    /** @type {number} Child index flag marking a subsector. */
+    static #SUBSECTOR_FLAG = 0x8000;
+    /** @type {number} Index value meaning "none" in the map lumps. */
+    static #NONE = 0xffff;
+    /** @type {number} Thing type of the player 1 start, the only start spawning an object. */
+    static #PLAYER_START = 1;
+    /** @type {Set<number>} Thing types of starts and spots that do not spawn objects. */
+    static #NON_SPAWNING_TYPES = new Set([2, 3, 4, 11, 14]);
+
+    /** @type {number} Bytes of savegame header. */
+    static #SAVE_HEADER_SIZE = 50;
+    /** @type {number} Bytes saved for the player. */
+    static #SAVE_PLAYER_SIZE = 280;
+    /** @type {number} Bytes saved per sector. */
+    static #SAVE_SECTOR_SIZE = 14;
+    /** @type {number} Bytes saved per linedef. */
+    static #SAVE_LINEDEF_SIZE = 6;
+    /** @type {number} Bytes saved per sidedef. */
+    static #SAVE_SIDEDEF_SIZE = 10;
+    /** @type {number} Bytes saved per object, including the class byte and padding. */
+    static #SAVE_MOBJ_SIZE = 158;
+    /** @type {number} Bytes saved per special thinker, including the class byte and padding. */
+    static #SAVE_SPECIAL_SIZE = 44;
+    /** @type {Set<number>} Sector specials spawning a saved thinker when the level starts. */
+    static #THINKER_SPECIALS = new Set([1, 2, 3, 4, 8, 10, 12, 13, 14]);
+
+    /**
+     * Analyzes a map.
+     *
+     * @param {DoomMap} map - The map to analyze.
+     * @param {object} [options] - Overrides for {@link LimitAnalyzer.DEFAULT_OPTIONS}.
+     * @returns {{ limits: Array<{name:string, value:number, limit:number, exceeded:boolean}>,
+     *             hotspots: { visplanes: Array<object>, drawsegs: Array<object> } }}
+     *          Each limit with the estimated value, and the views with the most visplanes and drawsegs
+     *          as `{ x, y, angle, sector, visplanes, drawsegs }` with the angle in degrees.
+     * @throws {Error} If the map cannot be exported, e.g. because it exceeds the 16-bit format.
+     */
+    static analyze(map, options = {}) {
+        const settings = { ...LimitAnalyzer.DEFAULT_OPTIONS, ...options };
+        const limits = { ...LimitAnalyzer.LIMITS, ...settings.limits };
+
+        const wad = WadMapWriter.write(map, new Wad('PWAD'), { nodes: settings.nodes });
+        const level = LimitAnalyzer.#readLevel(wad, settings);
+
+        const views = [];
+        map.iterateSectors(sector => {
+            LimitAnalyzer.#samplePoints(sector, settings).forEach(({ x, y }) => {
+                for (let i = 0; i < settings.angles; i++) {
+                    const angle = i * 360 / settings.angles;
+                    const counts = LimitAnalyzer.#renderView(level, {
+                        x,
+                        y,
+                        z: sector.properties.floorHeight + LimitAnalyzer.#EYE_HEIGHT,
+                        angle: angle * Math.PI / 180,
+                    });
+                    views.push({ x, y, angle, sector, ...counts });
+                }
+            });
+        });
+
+        const values = {
+            vertices: level.vertices.length,
+            linedefs: level.linedefs.length,
+            sidedefs: level.sidedefs.length,
+            sectors: level.sectors.length,
+            segs: level.segs.length,
+            subsectors: level.subsectors.length,
+            nodes: level.nodes.length,
+            blockmap: BlockmapBuilder.measure(level),
+            visplanes: views.reduce((max, view) => Math.max(max, view.visplanes), 0),
+            drawsegs: views.reduce((max, view) => Math.max(max, view.drawsegs), 0),
+            savegame: LimitAnalyzer.#estimateSavegame(map, level),
+        };
+
+        const hotspots = name => views
+            .filter(view => view[name] > 0)
+            .sort((a, b) => b[name] - a[name])
+            .slice(0, settings.hotspots);
+
+        return {
+            limits: Object.entries(values).map(([name, value]) => ({
+                name,
+                value,
+                limit: limits[name],
+                exceeded: value > limits[name],
+            })),
+            hotspots: {
+                visplanes: hotspots('visplanes'),
+                drawsegs: hotspots('drawsegs'),
+            },
+        };
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Static limits
+
+    /**
+     * Reads the exported map lumps back into the records the engine loads.
+     */
+    static #readLevel(wad, settings) {
+        const lumps = new Map();
+        wad.lumps.slice(1).forEach(lump => {
+            lumps.set(lump.name, lump.data);
+        });
+
+        const read = (name, size, func) => {
+            const bytes = lumps.get(name);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            return Array.from({ length: Math.floor(bytes.length / size) }, (_, i) => func(view, i * size, bytes));
+        };
+        const index = value => value === LimitAnalyzer.#NONE ? -1 : value;
+        const texture = (bytes, offset) => {
+            const name = Wad.decodeName(bytes, offset);
+            return name === '-' ? '' : name;
+        };
+        const readBox = (view, offset) => ({
+            top: view.getInt16(offset, true),
+            bottom: view.getInt16(offset + 2, true),
+            left: view.getInt16(offset + 4, true),
+            right: view.getInt16(offset + 6, true),
+        });
+
+        const sky = settings.skyTexture.toUpperCase();
+
+        return {
+            vertices: read('VERTEXES', 4, (view, offset) => ({
+                x: view.getInt16(offset, true),
+                y: view.getInt16(offset + 2, true),
+            })),
+            linedefs: read('LINEDEFS', 14, (view, offset) => ({
+                v0: view.getUint16(offset, true),
+                v1: view.getUint16(offset + 2, true),
+                flags: view.getUint16(offset + 4, true),
+                front: index(view.getUint16(offset + 10, true)),
+                back: index(view.getUint16(offset + 12, true)),
+            })),
+            sidedefs: read('SIDEDEFS', 30, (view, offset, bytes) => ({
+                textureUpper: texture(bytes, offset + 4),
+                textureLower: texture(bytes, offset + 12),
+                textureMiddle: texture(bytes, offset + 20),
+                sector: view.getUint16(offset + 28, true),
+            })),
+            sectors: read('SECTORS', 26, (view, offset, bytes) => ({
+                floorHeight: view.getInt16(offset, true),
+                ceilingHeight: view.getInt16(offset + 2, true),
+                floorTexture: Wad.decodeName(bytes, offset + 4),
+                ceilingTexture: Wad.decodeName(bytes, offset + 12),
+                lightLevel: view.getInt16(offset + 20, true),
+                special: view.getInt16(offset + 22, true),
+                sky: Wad.decodeName(bytes, offset + 12) === sky,
+            })),
+            segs: read('SEGS', 12, (view, offset) => ({
+                v0: view.getUint16(offset, true),
+                v1: view.getUint16(offset + 2, true),
+                linedef: view.getUint16(offset + 6, true),
+                side: view.getUint16(offset + 8, true),
+            })),
+            subsectors: read('SSECTORS', 4, (view, offset) => ({
+                count: view.getUint16(offset, true),
+                first: view.getUint16(offset + 2, true),
+            })),
+            nodes: read('NODES', 28, (view, offset) => ({
+                x: view.getInt16(offset, true),
+                y: view.getInt16(offset + 2, true),
+                dx: view.getInt16(offset + 4, true),
+                dy: view.getInt16(offset + 6, true),
+                boxes: [readBox(view, offset + 8), readBox(view, offset + 16)],
+                children: [view.getUint16(offset + 24, true), view.getUint16(offset + 26, true)],
+            })),
+        };
+    }
+
+    /**
+     * Estimates the size of a savegame made right after the level starts on the
+     * skill level spawning the most objects in single player.
+     */
+    static #estimateSavegame(map, level) {
+        const spawned = { easy: 0, medium: 0, hard: 0 };
+        map.iterateThings(thing => {
+            const type = thing.typeId;
+            if (LimitAnalyzer.#NON_SPAWNING_TYPES.has(type) || thing.flags.notSinglePlayer) {
+                return;
+            }
+            Object.keys(spawned).forEach(skill => {
+                if (thing.flags[skill] || type === LimitAnalyzer.#PLAYER_START) {
+                    spawned[skill]++;
+                }
+            });
+        });
+
+        const objects = Math.max(...Object.values(spawned));
+        const specials = level.sectors.filter(sector => LimitAnalyzer.#THINKER_SPECIALS.has(sector.special)).length;
+        const sides = level.linedefs.filter(linedef => linedef.front !== -1).length +
+            level.linedefs.filter(linedef => linedef.back !== -1).length;
+
+        return LimitAnalyzer.#SAVE_HEADER_SIZE +
+            LimitAnalyzer.#SAVE_PLAYER_SIZE +
+            level.sectors.length * LimitAnalyzer.#SAVE_SECTOR_SIZE +
+            level.linedefs.length * LimitAnalyzer.#SAVE_LINEDEF_SIZE +
+            sides * LimitAnalyzer.#SAVE_SIDEDEF_SIZE +
+            objects * LimitAnalyzer.#SAVE_MOBJ_SIZE +
+            specials * LimitAnalyzer.#SAVE_SPECIAL_SIZE;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // View sampling
+
+    /**
+     * Picks view positions on a grid covering the sector. Sectors too small for the grid
+     * are sampled just inside the middle of each boundary line.
+     */
+    static #samplePoints(sector, settings) {
+        const spacing = settings.sampleSpacing;
+        const b = sector.bounds;
+        let points = [];
+
+        for (let y = b.min.y + spacing / 2; y < b.max.y; y += spacing) {
+            for (let x = b.min.x + spacing / 2; x < b.max.x; x += spacing) {
+                if (sector.containsPoint(x, y)) {
+                    points.push({ x, y });
+                }
+            }
+        }
+
+        if (points.length === 0) {
+            sector.lines.forEach(line => {
+                const dx = line.v1.x - line.v0.x;
+                const dy = line.v1.y - line.v0.y;
+                const length = Math.hypot(dx, dy);
+                // The front side lies left of v0 -> v1
+                const sign = line.front.sector === sector ? 1 : -1;
+                const x = (line.v0.x + line.v1.x) / 2 - dy / length * sign;
+                const y = (line.v0.y + line.v1.y) / 2 + dx / length * sign;
+                if (sector.containsPoint(x, y)) {
+                    points.push({ x, y });
+                }
+            });
+        }
+
+        // Thin out evenly when there are too many
+        if (points.length > settings.maxSamplesPerSector) {
+            const step = points.length / settings.maxSamplesPerSector;
+            points = Array.from({ length: settings.maxSamplesPerSector }, (_, i) => points[Math.floor(i * step)]);
+        }
+
+        return points;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Renderer model
+
+    /**
+     * Renders the level from a view like the vanilla renderer does, front to back through
+     * the BSP tree, and counts the visplanes and drawsegs used.
+     *
+     * @returns {{ visplanes: number, drawsegs: number }}
+     */
+    static #renderView(level, view) {
+        const width = LimitAnalyzer.#SCREEN_WIDTH;
+        const frame = {
+            level,
+            view,
+            // Columns fully occluded by solid walls, as sorted inclusive ranges
+            solid: [{ first: -Infinity, last: -1 }, { first: width, last: Infinity }],
+            ceilingClip: new Int16Array(width).fill(-1),
+            floorClip: new Int16Array(width).fill(LimitAnalyzer.#VIEW_HEIGHT),
+            planes: [],
+            floorPlane: null,
+            ceilingPlane: null,
+            drawsegs: 0,
+        };
+
+        if (level.nodes.length === 0) {
+            if (level.subsectors.length > 0) {
+                LimitAnalyzer.#renderSubsector(frame, 0);
+            }
+        } else {
+            LimitAnalyzer.#renderNode(frame, level.nodes.length - 1);
+        }
+
+        return { visplanes: frame.planes.length, drawsegs: frame.drawsegs };
+    }
+
+    static #normalize(angle) {
+        const tau = Math.PI * 2;
+        return ((angle % tau) + tau) % tau;
+    }
+
+    static #pointToAngle(view, x, y) {
+        return LimitAnalyzer.#normalize(Math.atan2(y - view.y, x - view.x));
+    }
+
+    /**
+     * Screen column of a view-relative angle within the field of view, 0 at the left edge.
+     */
+    static #angleToX(angle) {
+        const center = LimitAnalyzer.#SCREEN_WIDTH / 2;
+        const signed = angle > Math.PI ? angle - Math.PI * 2 : angle;
+        const x = Math.ceil(center - Math.tan(signed) * center);
+        return Math.min(Math.max(x, 0), LimitAnalyzer.#SCREEN_WIDTH);
+    }
+
+    /**
+     * View-relative angle of a screen column.
+     */
+    static #xToAngle(x) {
+        const center = LimitAnalyzer.#SCREEN_WIDTH / 2;
+        return Math.atan((center - x) / center);
+    }
+
+    /**
+     * Clips the angular span between two world angles, seen from the view, to the field of view.
+     * Returns the screen columns covered, or null if the span is invisible.
+     */
+    static #projectSpan(view, angle1, angle2) {
+        const clip = Math.PI / 4;
+        const span = LimitAnalyzer.#normalize(angle1 - angle2);
+
+        // Facing away from the view
+        if (span >= Math.PI) {
+            return null;
+        }
+
+        let a1 = LimitAnalyzer.#normalize(angle1 - view.angle);
+        let a2 = LimitAnalyzer.#normalize(angle2 - view.angle);
+
+        let tspan = LimitAnalyzer.#normalize(a1 + clip);
+        if (tspan > 2 * clip) {
+            tspan -= 2 * clip;
+            if (tspan >= span) {
+                return null;
+            }
+            a1 = clip;
+        }
+
+        tspan = LimitAnalyzer.#normalize(clip - a2);
+        if (tspan > 2 * clip) {
+            tspan -= 2 * clip;
+            if (tspan >= span) {
+                return null;
+            }
+            a2 = LimitAnalyzer.#normalize(-clip);
+        }
+
+        const x1 = LimitAnalyzer.#angleToX(a1);
+        const x2 = LimitAnalyzer.#angleToX(a2);
+        return x1 === x2 ? null : { x1, x2 };
+    }
+
+    static #renderNode(frame, child) {
+        if (child & LimitAnalyzer.#SUBSECTOR_FLAG) {
+            LimitAnalyzer.#renderSubsector(frame, child === LimitAnalyzer.#NONE ? 0 : child & ~LimitAnalyzer.#SUBSECTOR_FLAG);
+            return;
+        }
+
+        const node = frame.level.nodes[child];
+        const side = LimitAnalyzer.#pointOnSide(frame.view, node);
+
+        LimitAnalyzer.#renderNode(frame, node.children[side]);
+        if (LimitAnalyzer.#checkBox(frame, node.boxes[side ^ 1])) {
+            LimitAnalyzer.#renderNode(frame, node.children[side ^ 1]);
+        }
+    }
+
+    /**
+     * Side of a node partition the view is on, 0 for the right and 1 for the left.
+     */
+    static #pointOnSide({ x, y }, node) {
+        if (node.dx === 0) {
+            return (x <= node.x ? node.dy > 0 : node.dy < 0) ? 1 : 0;
+        }
+        if (node.dy === 0) {
+            return (y <= node.y ? node.dx < 0 : node.dx > 0) ? 1 : 0;
+        }
+        const left = node.dy * (x - node.x);
+        const right = (y - node.y) * node.dx;
+        return right < left ? 0 : 1;
+    }
+
+    /**
+     * True if part of a bounding box may be visible through the columns not yet occluded.
+     */
+    static #checkBox(frame, box) {
+        const { view } = frame;
+
+        const column = view.x <= box.left ? 0 : view.x < box.right ? 1 : 2;
+        const row = view.y >= box.top ? 0 : view.y > box.bottom ? 1 : 2;
+        if (column === 1 && row === 1) {
+            return true;
+        }
+
+        // The silhouette corners, the first to the left as seen from the view
+        const xs = [[box.right, box.left], [box.right, box.left], [box.right, box.left],
+            [box.left, box.left], null, [box.right, box.right],
+            [box.left, box.right], [box.left, box.right], [box.left, box.right]];
+        const ys = [[box.top, box.bottom], [box.top, box.top], [box.bottom, box.top],
+            [box.top, box.bottom], null, [box.bottom, box.top],
+            [box.top, box.bottom], [box.bottom, box.bottom], [box.bottom, box.top]];
+        const i = row * 3 + column;
+
+        const angle1 = LimitAnalyzer.#pointToAngle(view, xs[i][0], ys[i][0]);
+        const angle2 = LimitAnalyzer.#pointToAngle(view, xs[i][1], ys[i][1]);
+
+        // The view sits on the edge of the box
+        if (LimitAnalyzer.#normalize(angle1 - angle2) >= Math.PI) {
+            return true;
+        }
+
+        const range = LimitAnalyzer.#projectSpan(view, angle1, angle2);
+        if (range === null) {
+            return false;
+        }
+
+        const first = range.x1;
+        const last = range.x2 - 1;
+        const covering = frame.solid.find(range => range.last >= last);
+        return !(first >= covering.first && last <= covering.last);
+    }
+
+    static #renderSubsector(frame, index) {
+        const { level, view } = frame;
+        const subsector = level.subsectors[index];
+        if (subsector === undefined || subsector.count === 0) {
+            return;
+        }
+
+        const sector = LimitAnalyzer.#segSectors(level, level.segs[subsector.first]).front;
+
+        frame.floorPlane = sector.floorHeight < view.z
+            ? LimitAnalyzer.#findPlane(frame, sector.floorHeight, sector.floorTexture, sector.lightLevel, false)
+            : null;
+        frame.ceilingPlane = sector.ceilingHeight > view.z || sector.sky
+            ? LimitAnalyzer.#findPlane(frame, sector.ceilingHeight, sector.ceilingTexture, sector.lightLevel, sector.sky)
+            : null;
+
+        for (let i = 0; i < subsector.count; i++) {
+            LimitAnalyzer.#addSeg(frame, level.segs[subsector.first + i]);
+        }
+    }
+
+    /**
+     * Sidedef and sectors on both sides of a seg. The back sector is only used
+     * for linedefs flagged two-sided, as in the engine.
+     */
+    static #segSectors(level, seg) {
+        const linedef = level.linedefs[seg.linedef];
+        const sidedef = level.sidedefs[seg.side === 0 ? linedef.front : linedef.back];
+        const other = seg.side === 0 ? linedef.back : linedef.front;
+        const twoSided = (linedef.flags & WadMapWriter.LINE_FLAG_BITS.twoSided) !== 0 && other !== -1;
+
+        return {
+            sidedef,
+            front: level.sectors[sidedef.sector],
+            back: twoSided ? level.sectors[level.sidedefs[other].sector] : null,
+        };
+    }
+
+    static #addSeg(frame, seg) {
+        const { level, view } = frame;
+        const v0 = level.vertices[seg.v0];
+        const v1 = level.vertices[seg.v1];
+
+        const angle1 = LimitAnalyzer.#pointToAngle(view, v0.x, v0.y);
+        const angle2 = LimitAnalyzer.#pointToAngle(view, v1.x, v1.y);
+        const range = LimitAnalyzer.#projectSpan(view, angle1, angle2);
+        if (range === null) {
+            return;
+        }
+
+        const { sidedef, front, back } = LimitAnalyzer.#segSectors(level, seg);
+        const wall = { seg, v0, v1, angle1, sidedef, front, back };
+
+        if (back === null || back.ceilingHeight <= front.floorHeight || back.floorHeight >= front.ceilingHeight) {
+            LimitAnalyzer.#clipWall(frame, wall, range.x1, range.x2 - 1, true);
+            return;
+        }
+
+        // Lines between identical sectors without a middle texture leave no trace
+        const identical = back.ceilingTexture === front.ceilingTexture &&
+            back.floorTexture === front.floorTexture &&
+            back.lightLevel === front.lightLevel &&
+            back.ceilingHeight === front.ceilingHeight &&
+            back.floorHeight === front.floorHeight &&
+            sidedef.textureMiddle === '';
+        if (!identical) {
+            LimitAnalyzer.#clipWall(frame, wall, range.x1, range.x2 - 1, false);
+        }
+    }
+
+    /**
+     * Stores the parts of a wall not hidden behind solid walls, and for solid walls
+     * adds the wall to the occluded columns.
+     */
+    static #clipWall(frame, wall, first, last, solid) {
+        let x = first;
+        for (const range of frame.solid) {
+            if (x > last) {
+                break;
+            }
+            if (range.last < x) {
+                continue;
+            }
+            if (range.first > x) {
+                LimitAnalyzer.#storeWallRange(frame, wall, x, Math.min(last, range.first - 1));
+            }
+            x = Math.max(x, range.last + 1);
+        }
+
+        if (!solid) {
+            return;
+        }
+
+        // Merge the wall into the occluded ranges
+        const ranges = [...frame.solid, { first, last }].sort((a, b) => a.first - b.first);
+        frame.solid = [];
+        ranges.forEach(range => {
+            const previous = frame.solid[frame.solid.length - 1];
+            if (previous !== undefined && range.first <= previous.last + 1) {
+                previous.last = Math.max(previous.last, range.last);
+            } else {
+                frame.solid.push({ ...range });
+            }
+        });
+    }
+
+    /**
+     * Finds the visplane for a floor or ceiling, creating it if none matches.
+     */
+    static #findPlane(frame, height, texture, light, sky) {
+        if (sky) {
+            height = 0;
+            light = 0;
+        }
+
+        const plane = frame.planes.find(plane =>
+            plane.height === height && plane.texture === texture && plane.light === light);
+        if (plane !== undefined) {
+            return plane;
+        }
+        return LimitAnalyzer.#createPlane(frame, height, texture, light);
+    }
+
+    static #createPlane(frame, height, texture, light) {
+        const plane = {
+            height,
+            texture,
+            light,
+            minX: LimitAnalyzer.#SCREEN_WIDTH,
+            maxX: -1,
+            top: new Uint8Array(LimitAnalyzer.#SCREEN_WIDTH).fill(LimitAnalyzer.#EMPTY_COLUMN),
+        };
+        frame.planes.push(plane);
+        return plane;
+    }
+
+    /**
+     * Extends a visplane to cover the columns of a wall, or starts a new visplane if
+     * any of those columns is already used.
+     */
+    static #checkPlane(frame, plane, start, stop) {
+        const low = Math.max(start, plane.minX);
+        const high = Math.min(stop, plane.maxX);
+
+        for (let x = low; x <= high; x++) {
+            if (plane.top[x] !== LimitAnalyzer.#EMPTY_COLUMN) {
+                const split = LimitAnalyzer.#createPlane(frame, plane.height, plane.texture, plane.light);
+                split.minX = start;
+                split.maxX = stop;
+                return split;
+            }
+        }
+
+        plane.minX = Math.min(start, plane.minX);
+        plane.maxX = Math.max(stop, plane.maxX);
+        return plane;
+    }
+
+    /**
+     * Renders the columns of a wall, marking the floor and ceiling columns it reveals
+     * in the visplanes and narrowing the open area of each column.
+     */
+    static #storeWallRange(frame, wall, start, stop) {
+        const { view, ceilingClip, floorClip } = frame;
+        const { v0, v1, angle1, sidedef, front, back } = wall;
+        const center = LimitAnalyzer.#SCREEN_WIDTH / 2;
+        const centerY = LimitAnalyzer.#VIEW_HEIGHT / 2;
+
+        frame.drawsegs++;
+
+        // Perpendicular distance of the view from the wall
+        const normal = Math.atan2(v1.y - v0.y, v1.x - v0.x) + Math.PI / 2;
+        let offset = Math.abs(LimitAnalyzer.#normalize(normal - angle1 + Math.PI) - Math.PI);
+        offset = Math.min(offset, Math.PI / 2);
+        const distance = Math.hypot(v0.x - view.x, v0.y - view.y) * Math.sin(Math.PI / 2 - offset);
+
+        const scaleAt = x => {
+            const angle = LimitAnalyzer.#xToAngle(x);
+            const num = center * Math.sin(Math.PI / 2 + view.angle + angle - normal);
+            const den = distance * Math.sin(Math.PI / 2 + angle);
+            if (den <= num / 65536) {
+                return LimitAnalyzer.#MAX_SCALE;
+            }
+            return Math.min(Math.max(num / den, LimitAnalyzer.#MIN_SCALE), LimitAnalyzer.#MAX_SCALE);
+        };
+
+        let worldTop = front.ceilingHeight - view.z;
+        const worldBottom = front.floorHeight - view.z;
+        let worldHigh = 0;
+        let worldLow = 0;
+        let markFloor = true;
+        let markCeiling = true;
+        let upper = false;
+        let lower = false;
+
+        if (back !== null) {
+            worldHigh = back.ceilingHeight - view.z;
+            worldLow = back.floorHeight - view.z;
+
+            // Sky hack: no upper wall between two sky ceilings
+            if (front.sky && back.sky) {
+                worldTop = worldHigh;
+            }
+
+            markFloor = worldLow !== worldBottom || back.floorTexture !== front.floorTexture || back.lightLevel !== front.lightLevel;
+            markCeiling = worldHigh !== worldTop || back.ceilingTexture !== front.ceilingTexture || back.lightLevel !== front.lightLevel;
+
+            // Closed doors
+            if (back.ceilingHeight <= front.floorHeight || back.floorHeight >= front.ceilingHeight) {
+                markFloor = true;
+                markCeiling = true;
+            }
+
+            upper = worldHigh < worldTop && sidedef.textureUpper !== '';
+            lower = worldLow > worldBottom && sidedef.textureLower !== '';
+        }
+
+        // Planes seen edge on or from the wrong side are not drawn
+        if (front.floorHeight >= view.z) {
+            markFloor = false;
+        }
+        if (front.ceilingHeight <= view.z && !front.sky) {
+            markCeiling = false;
+        }
+
+        if (markCeiling && frame.ceilingPlane !== null) {
+            frame.ceilingPlane = LimitAnalyzer.#checkPlane(frame, frame.ceilingPlane, start, stop);
+        }
+        if (markFloor && frame.floorPlane !== null) {
+            frame.floorPlane = LimitAnalyzer.#checkPlane(frame, frame.floorPlane, start, stop);
+        }
+
+        for (let x = start; x <= stop; x++) {
+            const scale = scaleAt(x);
+
+            let yl = Math.ceil(centerY - worldTop * scale);
+            if (yl < ceilingClip[x] + 1) {
+                yl = ceilingClip[x] + 1;
+            }
+
+            if (markCeiling && frame.ceilingPlane !== null) {
+                const top = ceilingClip[x] + 1;
+                const bottom = Math.min(yl - 1, floorClip[x] - 1);
+                if (top <= bottom) {
+                    frame.ceilingPlane.top[x] = top;
+                }
+            }
+
+            let yh = Math.floor(centerY - worldBottom * scale);
+            if (yh >= floorClip[x]) {
+                yh = floorClip[x] - 1;
+            }
+
+            if (markFloor && frame.floorPlane !== null) {
+                const top = Math.max(yh + 1, ceilingClip[x] + 1);
+                const bottom = floorClip[x] - 1;
+                if (top <= bottom) {
+                    frame.floorPlane.top[x] = top;
+                }
+            }
+
+            if (back === null) {
+                ceilingClip[x] = LimitAnalyzer.#VIEW_HEIGHT;
+                floorClip[x] = -1;
+                continue;
+            }
+
+            if (upper) {
+                let mid = Math.floor(centerY - worldHigh * scale);
+                if (mid >= floorClip[x]) {
+                    mid = floorClip[x] - 1;
+                }
+                ceilingClip[x] = mid >= yl ? mid : yl - 1;
+            } else if (markCeiling) {
+                ceilingClip[x] = yl - 1;
+            }
+
+            if (lower) {
+                let mid = Math.ceil(centerY - worldLow * scale);
+                if (mid <= ceilingClip[x]) {
+                    mid = ceilingClip[x] + 1;
+                }
+                floorClip[x] = mid <= yh ? mid : yh + 1;
+            } else if (markFloor) {
+                floorClip[x] = yh + 1;
+            }
+        }
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * Checks a {@link DoomMap} for problems that break levels in game engines.
+ *
+ * Each problem is reported as a diagnostic (`{ severity, code, message, geometry }`),
+ * where `geometry` is the offending vertex, line, sector or thing, or null for
+ * problems concerning the whole map. Built-in checks:
+ *
+ * - `missing-front-sector`: a closed line with no sector on either side
+ * - `unclosed-geometry`: a line without sectors in a chain with open ends
+ * - `two-sided-flag`: a line between two sectors without the `twoSided` flag
+ * - `missing-back-side`: a line with the `twoSided` flag but only one sector
+ * - `missing-middle-texture`: a one-sided line without a middle texture
+ * - `missing-upper-texture`: a side facing a lower ceiling without an upper texture
+ * - `missing-lower-texture`: a side facing a higher floor without a lower texture
+ * - `ceiling-below-floor`: a sector whose ceiling is lower than its floor
+ * - `no-player-start`: no player 1 start
+ * - `thing-outside-sector`: a thing not inside any sector
+ * - `thing-stuck`: a thing overlapping a wall
+ * - `unused-sector-tag`: a tagged sector no line refers to
+ */
+export default class MapValidator {
+    /** @type {string} Severity of problems that break the map. */
+    static ERROR = 'error';
+    /** @type {string} Severity of problems that may be intended. */
+    static WARNING = 'warning';
+
+    /** @type {number} Thing type of the player 1 start. */
+    static #PLAYER_START = 1;
+
+    /**
+     * Default validation options.
+     *
+     * @type {{ checks: Object<string, boolean>, rules: Array<{code:string, severity:string, check:Function}>,
+     *          thingRadius: number, thingRadii: Object<number, number>, skyTexture: string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Checks to run, by code. Checks set to false are skipped. */
+        checks: {},
+        /**
+         * Additional rules run after the built-in ones. Each rule's `check(map, report, options)`
+         * calls `report(message, geometry = null)` for every problem it finds.
+         */
+        rules: [],
+        /** Radius of things whose type has no entry in `thingRadii`. */
+        thingRadius: 16,
+        /** Thing radii by thing type. */
+        thingRadii: {},
+        /** Ceiling texture of sky sectors, between which upper textures are not drawn. */
+        skyTexture: 'F_SKY1',
+    };
+
+    /** @type {Array<{code:string, severity:string, check:Function}>} Built-in rules. */
+    static #RULES = [
+        { code: 'missing-front-sector', severity: MapValidator.ERROR, check: (...args) => MapValidator.#checkSectorless(...args, false) },
+        { code: 'unclosed-geometry', severity: MapValidator.ERROR, check: (...args) => MapValidator.#checkSectorless(...args, true) },
+        { code: 'two-sided-flag', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkTwoSidedFlag(...args) },
+        { code: 'missing-back-side', severity: MapValidator.ERROR, check: (...args) => MapValidator.#checkBackSide(...args) },
+        { code: 'missing-middle-texture', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkMiddleTextures(...args) },
+        { code: 'missing-upper-texture', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkUpperTextures(...args) },
+        { code: 'missing-lower-texture', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkLowerTextures(...args) },
+        { code: 'ceiling-below-floor', severity: MapValidator.ERROR, check: (...args) => MapValidator.#checkHeights(...args) },
+        { code: 'no-player-start', severity: MapValidator.ERROR, check: (...args) => MapValidator.#checkPlayerStart(...args) },
+        { code: 'thing-outside-sector', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkThingsInside(...args) },
+        { code: 'thing-stuck', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkThingsStuck(...args) },
+        { code: 'unused-sector-tag', severity: MapValidator.WARNING, check: (...args) => MapValidator.#checkSectorTags(...args) },
+    ];
+
+    /**
+     * Validates a map.
+     *
+     * @param {DoomMap} map - The map to check.
+     * @param {object} [options] - Overrides for {@link MapValidator.DEFAULT_OPTIONS}.
+     * @returns {Array<{severity:string, code:string, message:string, geometry:?object}>} Problems found.
+     */
+    static validate(map, options = {}) {
+        const settings = { ...MapValidator.DEFAULT_OPTIONS, ...options };
+        const diagnostics = [];
+
+        [...MapValidator.#RULES, ...settings.rules].forEach(rule => {
+            if (settings.checks[rule.code] === false) {
+                return;
+            }
+
+            const report = (message, geometry = null) => {
+                diagnostics.push({ severity: rule.severity, code: rule.code, message, geometry });
+            };
+            rule.check(map, report, settings);
+        });
+
+        return diagnostics;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Lines
+
+    static #describeLine(line) {
+        return `Line (${line.v0.x}, ${line.v0.y}) - (${line.v1.x}, ${line.v1.y})`;
+    }
+
+    /**
+     * Reports lines without sectors, either those in closed geometry or those in chains
+     * with open ends, which sector building cannot close.
+     */
+    static #checkSectorless(map, report, settings, unclosed) {
+        const sectorless = new Set();
+        map.iterateLines(line => {
+            if (line.front.sector === null && line.back.sector === null) {
+                sectorless.add(line);
+            }
+        });
+
+        const visited = new Set();
+        sectorless.forEach(start => {
+            if (visited.has(start)) {
+                return;
+            }
+
+            // Collect the chain of sectorless lines connected to this one
+            const chain = [];
+            const stack = [start];
+            visited.add(start);
+            while (stack.length > 0) {
+                const line = stack.pop();
+                chain.push(line);
+                [line.v0, line.v1].forEach(vertex => {
+                    vertex.lines.forEach(next => {
+                        if (sectorless.has(next) && !visited.has(next)) {
+                            visited.add(next);
+                            stack.push(next);
+                        }
+                    });
+                });
+            }
+
+            const open = chain.some(line => line.v0.lines.length < 2 || line.v1.lines.length < 2);
+            if (open !== unclosed) {
+                return;
+            }
+
+            chain.forEach(line => {
+                report(unclosed
+                    ? `${MapValidator.#describeLine(line)} is part of unclosed geometry and has no sector`
+                    : `${MapValidator.#describeLine(line)} has no sector on either side`, line);
+            });
+        });
+    }
+
+    static #checkTwoSidedFlag(map, report) {
+        map.iterateLines(line => {
+            if (line.front.sector !== null && line.back.sector !== null && !line.flags.twoSided) {
+                report(`${MapValidator.#describeLine(line)} has sectors on both sides but is not two-sided`, line);
+            }
+        });
+    }
+
+    static #checkBackSide(map, report) {
+        map.iterateLines(line => {
+            const oneSided = (line.front.sector === null) !== (line.back.sector === null);
+            if (oneSided && line.flags.twoSided) {
+                report(`${MapValidator.#describeLine(line)} is two-sided but has a sector on one side only`, line);
+            }
+        });
+    }
+
+    static #checkMiddleTextures(map, report) {
+        map.iterateLines(line => {
+            if ((line.front.sector === null) === (line.back.sector === null)) {
+                return;
+            }
+
+            const side = line.front.sector !== null ? line.front : line.back;
+            if (side.textureMiddle === '') {
+                report(`${MapValidator.#describeLine(line)} is one-sided but has no middle texture`, line);
+            }
+        });
+    }
+
+    /**
+     * Calls a function for each side of a line between two sectors with the sector
+     * in front of the side and the sector behind it.
+     */
+    static #iterateTwoSided(map, func) {
+        map.iterateLines(line => {
+            if (line.front.sector === null || line.back.sector === null) {
+                return;
+            }
+            func(line, line.front, line.front.sector, line.back.sector);
+            func(line, line.back, line.back.sector, line.front.sector);
+        });
+    }
+
+    static #checkUpperTextures(map, report, settings) {
+        MapValidator.#iterateTwoSided(map, (line, side, sector, other) => {
+            const a = sector.properties;
+            const b = other.properties;
+
+            // Engines draw sky instead of upper textures between two sky sectors
+            const sky = a.ceilingTexture === settings.skyTexture && b.ceilingTexture === settings.skyTexture;
+            if (a.ceilingHeight > b.ceilingHeight && !sky && side.textureUpper === '') {
+                report(`${MapValidator.#describeLine(line)} needs an upper texture facing ceiling ${a.ceilingHeight}`, line);
+            }
+        });
+    }
+
+    static #checkLowerTextures(map, report) {
+        MapValidator.#iterateTwoSided(map, (line, side, sector, other) => {
+            const a = sector.properties;
+            const b = other.properties;
+            if (a.floorHeight < b.floorHeight && side.textureLower === '') {
+                report(`${MapValidator.#describeLine(line)} needs a lower texture facing floor ${a.floorHeight}`, line);
+            }
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Sectors
+
+    static #checkHeights(map, report) {
+        map.iterateSectors(sector => {
+            const { floorHeight, ceilingHeight } = sector.properties;
+            if (ceilingHeight < floorHeight) {
+                report(`Sector ${sector.id} has its ceiling (${ceilingHeight}) below its floor (${floorHeight})`, sector);
+            }
+        });
+    }
+
+    static #checkSectorTags(map, report) {
+        const tags = new Set();
+        map.iterateLines(line => {
+            tags.add(line.tag);
+        });
+
+        map.iterateSectors(sector => {
+            const tag = sector.properties.tag;
+            if (tag !== 0 && !tags.has(tag)) {
+                report(`Sector ${sector.id} has tag ${tag} but no line refers to it`, sector);
+            }
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Things
+
+    static #checkPlayerStart(map, report) {
+        let found = false;
+        map.iterateThings(thing => {
+            if (thing.typeId === MapValidator.#PLAYER_START) {
+                found = true;
+                return false;
+            }
+        });
+
+        if (!found) {
+            report('Map has no player 1 start');
+        }
+    }
+
+    static #checkThingsInside(map, report) {
+        map.iterateThings(thing => {
+            if (map.getSector(thing.x, thing.y) === null) {
+                report(`Thing ${thing.id} (type ${thing.typeId}) at (${thing.x}, ${thing.y}) is outside of all sectors`, thing);
+            }
+        });
+    }
+
+    static #checkThingsStuck(map, report, settings) {
+        map.iterateThings(thing => {
+            const radius = settings.thingRadii[thing.typeId] ?? settings.thingRadius;
+
+            // Engines collide things as squares, touching a wall is allowed
+            const x0 = thing.x - radius;
+            const y0 = thing.y - radius;
+            const x1 = thing.x + radius;
+            const y1 = thing.y + radius;
+
+            let wall = null;
+            map.iterateLines(line => {
+                const blocking = line.front.sector === null || line.back.sector === null || line.flags.impassable;
+                if (blocking && MapValidator.#segmentEntersBox(line.v0, line.v1, x0, y0, x1, y1)) {
+                    wall = line;
+                    return false;
+                }
+            }, { x: x0, y: y0 }, { x: x1, y: y1 });
+
+            if (wall !== null) {
+                report(`Thing ${thing.id} (type ${thing.typeId}) at (${thing.x}, ${thing.y}) is stuck in ${MapValidator.#describeLine(wall)}`, thing);
+            }
+        });
+    }
+
+    /**
+     * True if segment AB passes through the interior of the box (x0, x1) × (y0, y1).
+     */
+    static #segmentEntersBox(a, b, x0, y0, x1, y1) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+
+        let t0 = 0;
+        let t1 = 1;
+        const clip = (p, q) => {
+            if (p === 0) {
+                return q > 0;
+            }
+            const t = q / p;
+            if (p < 0) {
+                t0 = Math.max(t0, t);
+            } else {
+                t1 = Math.min(t1, t);
+            }
+            return t0 < t1;
+        };
+
+        return clip(-dx, a.x - x0) && clip(dx, x1 - a.x) &&
+               clip(-dy, a.y - y0) && clip(dy, y1 - a.y);
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Graph of the sectors of a {@link DoomMap} connected by two-sided lines, for checking
+ * where the player can walk.
+ *
+ * Every two-sided line yields an edge in both directions, annotated with the step
+ * height from the floor of the sector left to the floor of the sector entered, the
+ * headroom in the opening between the two sectors, and the line's `impassable` flag.
+ * Sector heights are taken as they are in the map, so closed doors and lowered lifts
+ * block unless a custom `canPass` test says otherwise.
+ */
+export default class NavigationGraph {
+    /**
+     * Default movement options.
+     *
+     * @type {{ maxStep: number, playerHeight: number, canPass: ?function(object):boolean }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Highest step the player can climb. */
+        maxStep: 24,
+        /** Height of the player, which must fit between floor and ceiling. */
+        playerHeight: 56,
+        /** Custom test whether the player can take an edge, replacing the built-in one. */
+        canPass: null,
+    };
+
+    /** @type {Map<Sector, Array<{from:Sector, to:Sector, line:Line, step:number, headroom:number, impassable:boolean}>>} */
+    #edges = new Map();
+
+    /**
+     * Builds the graph of a map.
+     *
+     * @param {DoomMap} map - The map.
+     */
+    constructor(map) {
+        map.iterateSectors(sector => {
+            this.#edges.set(sector, []);
+        });
+
+        map.iterateLines(line => {
+            const front = line.front.sector;
+            const back = line.back.sector;
+            if (front === null || back === null || front === back) {
+                return;
+            }
+
+            const headroom = Math.min(front.properties.ceilingHeight, back.properties.ceilingHeight) -
+                Math.max(front.properties.floorHeight, back.properties.floorHeight);
+            [[front, back], [back, front]].forEach(([from, to]) => {
+                this.#edges.get(from)?.push({
+                    from,
+                    to,
+                    line,
+                    step: to.properties.floorHeight - from.properties.floorHeight,
+                    headroom,
+                    impassable: line.flags.impassable,
+                });
+            });
+        });
+    }
+
+    /**
+     * Returns the edges leading out of a sector.
+     *
+     * @param {Sector} sector - The sector.
+     * @returns {Array<{from:Sector, to:Sector, line:Line, step:number, headroom:number, impassable:boolean}>}
+     *          Edges, one per two-sided line of the sector.
+     */
+    edgesFrom(sector) {
+        return this.#edges.get(sector) ?? [];
+    }
+
+    /**
+     * Checks whether the player can take an edge: the line is not impassable, the step
+     * up is not too high, and the player fits through the opening.
+     *
+     * @param {object} edge - An edge returned by {@link NavigationGraph#edgesFrom}.
+     * @param {object} [options] - Overrides for {@link NavigationGraph.DEFAULT_OPTIONS}.
+     * @returns {boolean} True if the edge can be taken.
+     */
+    canPass(edge, options = {}) {
+        const settings = { ...NavigationGraph.DEFAULT_OPTIONS, ...options };
+        if (settings.canPass !== null) {
+            return settings.canPass(edge);
+        }
+        return !edge.impassable && edge.step <= settings.maxStep && edge.headroom >= settings.playerHeight;
+    }
+
+    /**
+     * Finds the sectors the player can walk to from a sector.
+     *
+     * @param {Sector} start - The sector to start from.
+     * @param {object} [options] - Overrides for {@link NavigationGraph.DEFAULT_OPTIONS}.
+     * @returns {Set<Sector>} Reachable sectors, including the start sector.
+     */
+    reachableSectors(start, options = {}) {
+        const reached = new Set([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            this.edgesFrom(stack.pop()).forEach(edge => {
+                if (!reached.has(edge.to) && this.canPass(edge, options)) {
+                    reached.add(edge.to);
+                    stack.push(edge.to);
+                }
+            });
+        }
+        return reached;
+    }
+
+    /**
+     * Finds the shortest walk between two points, passing lines at their midpoints.
+     *
+     * @param {{x:number, y:number}} from - Start point.
+     * @param {Sector} fromSector - Sector containing the start point.
+     * @param {{x:number, y:number}} to - End point.
+     * @param {Sector} toSector - Sector containing the end point.
+     * @param {object} [options] - Overrides for {@link NavigationGraph.DEFAULT_OPTIONS}.
+     * @returns {?{sectors: Sector[], points: Array<{x:number, y:number}>, distance: number}}
+     *          Sectors walked through, points of the walk from start to end and its length,
+     *          or null if the end cannot be reached.
+     */
+    findPath(from, fromSector, to, toSector, options = {}) {
+        // Search states are the start, edges taken, entering the sector at the line midpoint, and the goal
+        const start = { sector: fromSector, point: from, previous: null, edge: null };
+        const queue = [];
+        const settled = new Set();
+        NavigationGraph.#push(queue, { cost: 0, state: start });
+
+        while (queue.length > 0) {
+            const { cost, state } = NavigationGraph.#pop(queue);
+            if (state.goal) {
+                return NavigationGraph.#unwind(state, cost);
+            }
+
+            const key = state.edge ?? start;
+            if (settled.has(key)) {
+                continue;
+            }
+            settled.add(key);
+
+            if (state.sector === toSector) {
+                const goal = { sector: toSector, point: to, previous: state, edge: null, goal: true };
+                NavigationGraph.#push(queue, { cost: cost + NavigationGraph.#distance(state.point, to), state: goal });
+            }
+
+            this.edgesFrom(state.sector).forEach(edge => {
+                if (settled.has(edge) || !this.canPass(edge, options)) {
+                    return;
+                }
+                const point = {
+                    x: (edge.line.v0.x + edge.line.v1.x) / 2,
+                    y: (edge.line.v0.y + edge.line.v1.y) / 2,
+                };
+                const next = { sector: edge.to, point, previous: state, edge };
+                NavigationGraph.#push(queue, { cost: cost + NavigationGraph.#distance(state.point, point), state: next });
+            });
+        }
+
+        return null;
+    }
+
+    static #unwind(goal, distance) {
+        const sectors = [];
+        const points = [];
+        for (let state = goal; state !== null; state = state.previous) {
+            points.unshift({ x: state.point.x, y: state.point.y });
+            if (!state.goal) {
+                sectors.unshift(state.sector);
+            }
+        }
+        return { sectors, points, distance };
+    }
+
+    static #distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Priority queue
+
+    /**
+     * Adds an entry to a binary min-heap ordered by `cost`.
+     */
+    static #push(heap, entry) {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].cost <= heap[i].cost) {
+                break;
+            }
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Removes and returns the entry with the lowest `cost` from a binary min-heap.
+     */
+    static #pop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].cost < heap[smallest].cost) {
+                    smallest = left;
+                }
+                if (right < heap.length && heap[right].cost < heap[smallest].cost) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Builds the BLOCKMAP lump used by Doom engines for collision detection.
+ *
+ * Blocks are 128 units square and aligned to multiples of 128, so they
+ * coincide with the cells of the {@link DoomMap} spatial grid.
+ * Identical block lists are stored once and shared between blocks.
+ */
+export default class BlockmapBuilder {
+    /** @type {number} Size of a block in map units. */
+    static BLOCK_SIZE = 128;
+
+    /** @type {number} Size of the lump header in 16-bit words. */
+    static #HEADER_WORDS = 4;
+    /** @type {number} Largest offset addressable by the 16-bit block offsets. */
+    static #MAX_OFFSET = 0xffff;
+
+    /**
+     * Builds the blockmap.
+     *
+     * @param {object} records - Map records.
+     * @param {Array<{x:number, y:number}>} records.vertices - Vertex positions.
+     * @param {Array<{v0:number, v1:number}>} records.linedefs - Linedefs with vertex indices.
+     * @returns {Uint8Array} The BLOCKMAP lump.
+     * @throws {Error} If the blockmap exceeds the 16-bit offset limit.
+     */
+    static build({ vertices, linedefs }) {
+        const { originX, originY, columns, rows, blockOffsets, lists, words } =
+            BlockmapBuilder.#layout({ vertices, linedefs });
+
+        const lastOffset = blockOffsets.reduce((max, value) => Math.max(max, value), 0);
+        if (lastOffset > BlockmapBuilder.#MAX_OFFSET) {
+            throw new Error(`Blockmap is too large (${words} words), the format allows offsets up to ${BlockmapBuilder.#MAX_OFFSET}`);
+        }
+
+        const bytes = new Uint8Array(words * 2);
+        const view = new DataView(bytes.buffer);
+
+        view.setInt16(0, originX, true);
+        view.setInt16(2, originY, true);
+        view.setUint16(4, columns, true);
+        view.setUint16(6, rows, true);
+
+        blockOffsets.forEach((listOffset, i) => {
+            view.setUint16((BlockmapBuilder.#HEADER_WORDS + i) * 2, listOffset, true);
+        });
+
+        let position = (BlockmapBuilder.#HEADER_WORDS + blockOffsets.length) * 2;
+        lists.forEach(list => {
+            view.setUint16(position, 0, true);
+            position += 2;
+            list.forEach(line => {
+                view.setUint16(position, line, true);
+                position += 2;
+            });
+            view.setUint16(position, 0xffff, true);
+            position += 2;
+        });
+
+        return bytes;
+    }
+
+    /**
+     * Computes the size of the blockmap without building it, including blockmaps
+     * too large for the format.
+     *
+     * @param {object} records - Map records, as for {@link BlockmapBuilder.build}.
+     * @returns {number} Size of the BLOCKMAP lump in bytes.
+     */
+    static measure({ vertices, linedefs }) {
+        return BlockmapBuilder.#layout({ vertices, linedefs }).words * 2;
+    }
+
+    /**
+     * Assigns linedefs to blocks and lays out the shared block lists.
+     */
+    static #layout({ vertices, linedefs }) {
+        const size = BlockmapBuilder.BLOCK_SIZE;
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        linedefs.forEach(linedef => {
+            [vertices[linedef.v0], vertices[linedef.v1]].forEach(vertex => {
+                minX = Math.min(minX, vertex.x);
+                minY = Math.min(minY, vertex.y);
+                maxX = Math.max(maxX, vertex.x);
+                maxY = Math.max(maxY, vertex.y);
+            });
+        });
+
+        if (linedefs.length === 0) {
+            minX = minY = maxX = maxY = 0;
+        }
+
+        const originX = Math.floor(minX / size) * size;
+        const originY = Math.floor(minY / size) * size;
+        const columns = Math.floor((maxX - originX) / size) + 1;
+        const rows = Math.floor((maxY - originY) / size) + 1;
+
+        const blocks = Array.from({ length: columns * rows }, () => []);
+
+        linedefs.forEach((linedef, i) => {
+            const a = vertices[linedef.v0];
+            const b = vertices[linedef.v1];
+
+            const column0 = Math.floor((Math.min(a.x, b.x) - originX) / size);
+            const column1 = Math.floor((Math.max(a.x, b.x) - originX) / size);
+            const row0 = Math.floor((Math.min(a.y, b.y) - originY) / size);
+            const row1 = Math.floor((Math.max(a.y, b.y) - originY) / size);
+
+            for (let row = row0; row <= row1; row++) {
+                for (let column = column0; column <= column1; column++) {
+                    const x0 = originX + column * size;
+                    const y0 = originY + row * size;
+                    if (BlockmapBuilder.#segmentTouchesBox(a, b, x0, y0, x0 + size, y0 + size)) {
+                        blocks[row * columns + column].push(i);
+                    }
+                }
+            }
+        });
+
+        // Lay out the shared block lists after the header and offset table
+        const listOffsets = new Map();
+        const lists = [];
+        let offset = BlockmapBuilder.#HEADER_WORDS + blocks.length;
+        const blockOffsets = blocks.map(block => {
+            const key = block.join(',');
+            let listOffset = listOffsets.get(key);
+            if (listOffset === undefined) {
+                listOffset = offset;
+                listOffsets.set(key, listOffset);
+                lists.push(block);
+                // Leading zero, line indices and the 0xffff terminator
+                offset += block.length + 2;
+            }
+            return listOffset;
+        });
+
+        return { originX, originY, columns, rows, blockOffsets, lists, words: offset };
+    }
+
+    /**
+     * True if segment AB touches the closed box [x0, x1] × [y0, y1] (Liang–Barsky clipping).
+     */
+    static #segmentTouchesBox(a, b, x0, y0, x1, y1) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+
+        let t0 = 0;
+        let t1 = 1;
+        const clip = (p, q) => {
+            if (p === 0) {
+                return q >= 0;
+            }
+            const t = q / p;
+            if (p < 0) {
+                if (t > t1) {
+                    return false;
+                }
+                t0 = Math.max(t0, t);
+            } else {
+                if (t < t0) {
+                    return false;
+                }
+                t1 = Math.min(t1, t);
+            }
+            return true;
+        };
+
+        return clip(-dx, a.x - x0) && clip(dx, x1 - a.x) &&
+               clip(-dy, a.y - y0) && clip(dy, y1 - a.y) &&
+               t0 <= t1;
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Builds a 3D triangle mesh of a {@link DoomMap} for export to generic 3D formats.
+ *
+ * Walls are split into upper, middle and lower parts by the heights of the sectors
+ * on both sides of each line, and textured the way the Doom renderer pegs them.
+ * Floors and ceilings are triangulated with {@link Sector#triangulate}.
+ *
+ * Coordinates are map units with Z up. Texture coordinates are normalized to the
+ * texture size, with the origin at the top left of the texture.
+ */
+export default class MeshBuilder {
+    /**
+     * Default build options.
+     *
+     * @type {{ textureSizes: Object<string, {width:number, height:number}>,
+     *          textureSize: {width:number, height:number}, flatSize: number, skyTexture: string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Wall texture sizes by texture name. */
+        textureSizes: {},
+        /** Size of wall textures that have no entry in `textureSizes`. */
+        textureSize: { width: 64, height: 64 },
+        /** Size of floor and ceiling textures. */
+        flatSize: 64,
+        /** Ceiling texture of sky sectors, between which upper walls are not drawn. */
+        skyTexture: 'F_SKY1',
+    };
+
+    /**
+     * Builds the mesh.
+     *
+     * @param {DoomMap} map - The map to build.
+     * @param {object} [options] - Overrides for {@link MeshBuilder.DEFAULT_OPTIONS}.
+     * @returns {Array<{texture:string, positions:number[], normals:number[], uvs:number[], indices:number[]}>}
+     *          One surface per texture name, with flat XYZ positions and normals, flat UV
+     *          coordinates and three vertex indices per counter-clockwise triangle.
+     */
+    static build(map, options = {}) {
+        const settings = { ...MeshBuilder.DEFAULT_OPTIONS, ...options };
+
+        const surfaces = new Map();
+        const surface = texture => {
+            let result = surfaces.get(texture);
+            if (result === undefined) {
+                result = { texture, positions: [], normals: [], uvs: [], indices: [] };
+                surfaces.set(texture, result);
+            }
+            return result;
+        };
+
+        map.iterateLines(line => {
+            MeshBuilder.#addWalls(line, line.front, line.back, surface, settings);
+            MeshBuilder.#addWalls(line, line.back, line.front, surface, settings);
+        });
+
+        map.iterateSectors(sector => {
+            MeshBuilder.#addFlats(sector, surface, settings);
+        });
+
+        return [...surfaces.values()];
+    }
+
+    /**
+     * True if a texture name refers to a texture, "-" and the empty name meaning none.
+     */
+    static #hasTexture(name) {
+        return name !== '' && name !== '-';
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Walls
+
+    /**
+     * Adds the wall parts of one side of a line, facing the sector of that side.
+     */
+    static #addWalls(line, side, other, surface, settings) {
+        const sector = side.sector;
+        if (sector === null) {
+            return;
+        }
+
+        // Seen from the sector, the side runs from left to right with the sector on its right
+        const [start, end] = side === line.front ? [line.v1, line.v0] : [line.v0, line.v1];
+        const { floorHeight, ceilingHeight } = sector.properties;
+        const flags = line.flags;
+
+        if (other.sector === null) {
+            // One-sided: the middle texture hangs from the ceiling, or stands on the floor when lower unpegged
+            const height = MeshBuilder.#textureHeight(side.textureMiddle, settings);
+            const top = flags.lowerUnpegged ? floorHeight + height : ceilingHeight;
+            MeshBuilder.#addWall(start, end, floorHeight, ceilingHeight, top, side, side.textureMiddle, surface, settings);
+            return;
+        }
+
+        const back = other.sector.properties;
+
+        // Upper: hangs from the front ceiling when upper unpegged, else stands on the back ceiling
+        const sky = sector.properties.ceilingTexture === settings.skyTexture && back.ceilingTexture === settings.skyTexture;
+        if (back.ceilingHeight < ceilingHeight && !sky) {
+            const height = MeshBuilder.#textureHeight(side.textureUpper, settings);
+            const top = flags.upperUnpegged ? ceilingHeight : back.ceilingHeight + height;
+            const bottom = Math.max(back.ceilingHeight, floorHeight);
+            MeshBuilder.#addWall(start, end, bottom, ceilingHeight, top, side, side.textureUpper, surface, settings);
+        }
+
+        // Lower: hangs from the back floor, or from the front ceiling when lower unpegged
+        if (back.floorHeight > floorHeight) {
+            const top = flags.lowerUnpegged ? ceilingHeight : back.floorHeight;
+            const ceiling = Math.min(back.floorHeight, ceilingHeight);
+            MeshBuilder.#addWall(start, end, floorHeight, ceiling, top, side, side.textureLower, surface, settings);
+        }
+
+        // Middle: drawn once, not tiled vertically, and clipped to the opening between the sectors
+        if (MeshBuilder.#hasTexture(side.textureMiddle)) {
+            const height = MeshBuilder.#textureHeight(side.textureMiddle, settings);
+            const openingBottom = Math.max(floorHeight, back.floorHeight);
+            const openingTop = Math.min(ceilingHeight, back.ceilingHeight);
+            const top = flags.lowerUnpegged ? openingBottom + height : openingTop;
+            const bottom = Math.max(openingBottom, top + side.yOffset - height);
+            const ceiling = Math.min(openingTop, top + side.yOffset);
+            MeshBuilder.#addWall(start, end, bottom, ceiling, top, side, side.textureMiddle, surface, settings);
+        }
+    }
+
+    static #textureHeight(name, settings) {
+        return (settings.textureSizes[name] ?? settings.textureSize).height;
+    }
+
+    /**
+     * Adds one wall quad between two heights.
+     *
+     * @param {Vertex} start - Left vertex, seen from the front of the wall.
+     * @param {Vertex} end - Right vertex, seen from the front of the wall.
+     * @param {number} bottom - Bottom height.
+     * @param {number} top - Top height.
+     * @param {number} textureTop - Height at which the top of the texture is drawn.
+     * @param {object} side - The line side, for texture offsets.
+     * @param {string} texture - Texture name.
+     */
+    static #addWall(start, end, bottom, top, textureTop, side, texture, surface, settings) {
+        if (top <= bottom || !MeshBuilder.#hasTexture(texture)) {
+            return;
+        }
+
+        const { width, height } = settings.textureSizes[texture] ?? settings.textureSize;
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const nx = (end.y - start.y) / length;
+        const ny = (start.x - end.x) / length;
+
+        const u0 = side.xOffset / width;
+        const u1 = (side.xOffset + length) / width;
+        const v = z => (textureTop - z + side.yOffset) / height;
+
+        const target = surface(texture);
+        const first = target.positions.length / 3;
+        target.positions.push(
+            start.x, start.y, bottom,
+            end.x, end.y, bottom,
+            end.x, end.y, top,
+            start.x, start.y, top,
+        );
+        target.normals.push(nx, ny, 0, nx, ny, 0, nx, ny, 0, nx, ny, 0);
+        target.uvs.push(u0, v(bottom), u1, v(bottom), u1, v(top), u0, v(top));
+        target.indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Floors and ceilings
+
+    static #addFlats(sector, surface, settings) {
+        const { vertices, indices } = sector.triangulate();
+        if (indices.length === 0) {
+            return;
+        }
+
+        const { floorHeight, ceilingHeight, floorTexture, ceilingTexture } = sector.properties;
+        const size = settings.flatSize;
+
+        // Floors face up with the triangle winding as is, ceilings face down with it reversed
+        [[floorTexture, floorHeight, 1], [ceilingTexture, ceilingHeight, -1]].forEach(([texture, z, nz]) => {
+            if (!MeshBuilder.#hasTexture(texture)) {
+                return;
+            }
+
+            const target = surface(texture);
+            const first = target.positions.length / 3;
+            for (let i = 0; i < vertices.length; i += 2) {
+                target.positions.push(vertices[i], vertices[i + 1], z);
+                target.normals.push(0, 0, nz);
+                target.uvs.push(vertices[i] / size, -vertices[i + 1] / size);
+            }
+            for (let i = 0; i < indices.length; i += 3) {
+                if (nz > 0) {
+                    target.indices.push(first + indices[i], first + indices[i + 1], first + indices[i + 2]);
+                } else {
+                    target.indices.push(first + indices[i], first + indices[i + 2], first + indices[i + 1]);
+                }
+            }
+        });
+    }
+}
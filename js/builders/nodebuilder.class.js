@@ -0,0 +1,634 @@
+/**
+ * Deterministic binary space partition (BSP) node builder.
+ *
+ * Works on the index-based records written to a WAD and produces the vanilla
+ * NODES, SEGS and SSECTORS lumps, and optionally GL nodes (version 2).
+ * The same input always yields byte-identical output.
+ */
+export default class NodeBuilder {
+    /** @type {number} Size of a SEGS entry in bytes. */
+    static #SEG_SIZE = 12;
+    /** @type {number} Size of a SSECTORS or GL_SSECT entry in bytes. */
+    static #SUBSECTOR_SIZE = 4;
+    /** @type {number} Size of a NODES or GL_NODES entry in bytes. */
+    static #NODE_SIZE = 28;
+    /** @type {number} Size of a GL_VERT entry in bytes. */
+    static #GL_VERTEX_SIZE = 8;
+    /** @type {number} Size of a version 2 GL_SEGS entry in bytes. */
+    static #GL_SEG_SIZE = 10;
+
+    /** @type {number} Child index flag marking a subsector. */
+    static #SUBSECTOR_FLAG = 0x8000;
+    /** @type {number} Vertex index flag marking a GL vertex. */
+    static #GL_VERTEX_FLAG = 0x8000;
+    /** @type {number} Index value meaning "none". */
+    static #NONE = 0xffff;
+    /** @type {number} Distance under which two points are considered the same. */
+    static #EPSILON = 1 / 64;
+
+    /**
+     * Default build options.
+     *
+     * @type {{ splitCost: number, balanceCost: number, diagonalCost: number,
+     *          cost: ?function({splits:number, left:number, right:number, diagonal:boolean}):number, gl: boolean }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Cost added for every seg a partition splits in two. */
+        splitCost: 8,
+        /** Cost added per seg of difference between the two sides of a partition. */
+        balanceCost: 1,
+        /** Cost added for partitions that are not axis-aligned. */
+        diagonalCost: 4,
+        /** Custom cost function replacing the weighted sum above. */
+        cost: null,
+        /** Whether to build GL nodes as well. */
+        gl: false,
+    };
+
+    /**
+     * Builds the BSP tree.
+     *
+     * @param {object} records - Map records.
+     * @param {Array<{x:number, y:number}>} records.vertices - Vertex positions (integers).
+     * @param {Array<{v0:number, v1:number, front:number, back:number}>} records.linedefs
+     *        Linedefs with vertex indices and sidedef indices (-1 for none).
+     * @param {object} [options] - Overrides for {@link NodeBuilder.DEFAULT_OPTIONS}.
+     * @returns {{ vertices: Array<{x:number, y:number}>, lumps: Object<string, Uint8Array>, glLumps: ?Object<string, Uint8Array> }}
+     *          Vertices including those created by splits, the vanilla lumps and the GL lumps if requested.
+     */
+    static build({ vertices, linedefs }, options = {}) {
+        const settings = { ...NodeBuilder.DEFAULT_OPTIONS, ...options };
+        const state = {
+            settings,
+            vertices: vertices.map(vertex => ({ x: vertex.x, y: vertex.y })),
+            vertexKeys: new Map(),
+            segs: [],
+            subsectors: [],
+            nodes: [],
+            glVertices: [],
+            glSegs: [],
+            glSubsectors: [],
+        };
+
+        state.vertices.forEach((vertex, i) => {
+            const key = `${vertex.x},${vertex.y}`;
+            if (!state.vertexKeys.has(key)) {
+                state.vertexKeys.set(key, i);
+            }
+        });
+
+        // Create one seg per linedef side
+        const segs = [];
+        linedefs.forEach((linedef, i) => {
+            if (linedef.front !== -1) {
+                segs.push({ v0: linedef.v0, v1: linedef.v1, linedef: i, side: 0, offset: 0 });
+            }
+            if (linedef.back !== -1) {
+                segs.push({ v0: linedef.v1, v1: linedef.v0, linedef: i, side: 1, offset: 0 });
+            }
+        });
+
+        const region = NodeBuilder.#boundsRegion(state.vertices);
+
+        if (segs.length > 0) {
+            NodeBuilder.#buildNode(state, segs, region);
+        }
+
+        const result = {
+            vertices: state.vertices,
+            lumps: {
+                SEGS: NodeBuilder.#writeSegs(state),
+                SSECTORS: NodeBuilder.#writeSubsectors(state.subsectors),
+                NODES: NodeBuilder.#writeNodes(state.nodes),
+            },
+            glLumps: null,
+        };
+
+        if (settings.gl) {
+            result.glLumps = {
+                GL_VERT: NodeBuilder.#writeGlVertices(state.glVertices),
+                GL_SEGS: NodeBuilder.#writeGlSegs(state.glSegs),
+                GL_SSECT: NodeBuilder.#writeSubsectors(state.glSubsectors),
+                GL_NODES: NodeBuilder.#writeNodes(state.nodes),
+            };
+        }
+
+        return result;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Partitioning
+
+    /**
+     * Recursively partitions a set of segs. Returns the child reference
+     * (node index, or subsector index with the subsector flag set).
+     */
+    static #buildNode(state, segs, region) {
+        const partition = NodeBuilder.#choosePartition(state, segs);
+        if (partition === null) {
+            return NodeBuilder.#addSubsector(state, segs, region);
+        }
+
+        const right = [];
+        const left = [];
+        segs.forEach(seg => {
+            NodeBuilder.#divideSeg(state, seg, partition, right, left);
+        });
+
+        const rightRegion = NodeBuilder.#clipRegion(region, partition, false);
+        const leftRegion = NodeBuilder.#clipRegion(region, partition, true);
+
+        const node = {
+            x: partition.x,
+            y: partition.y,
+            dx: partition.dx,
+            dy: partition.dy,
+            rightBox: NodeBuilder.#segBounds(state, right),
+            leftBox: NodeBuilder.#segBounds(state, left),
+            right: NodeBuilder.#buildNode(state, right, rightRegion),
+            left: NodeBuilder.#buildNode(state, left, leftRegion),
+        };
+
+        // Children are stored before their parent so the root ends up last
+        state.nodes.push(node);
+        return state.nodes.length - 1;
+    }
+
+    /**
+     * Picks the cheapest partition line among the seg lines, or null if the segs form a convex set.
+     */
+    static #choosePartition(state, segs) {
+        const { settings } = state;
+        const tried = new Set();
+
+        let best = null;
+        let bestCost = Infinity;
+
+        segs.forEach(candidate => {
+            const partition = NodeBuilder.#segPartition(state, candidate);
+
+            // Collinear segs share a partition line, so only evaluate it once
+            const key = NodeBuilder.#lineKey(partition);
+            if (tried.has(key)) {
+                return;
+            }
+            tried.add(key);
+
+            let right = 0;
+            let left = 0;
+            let splits = 0;
+            segs.forEach(seg => {
+                const side = NodeBuilder.#classifySeg(state, seg, partition);
+                if (side === 'right') {
+                    right++;
+                } else if (side === 'left') {
+                    left++;
+                } else {
+                    splits++;
+                }
+            });
+
+            // A partition must leave segs on both sides, otherwise the set is convex along it
+            if (left + splits === 0 || right + splits === 0) {
+                return;
+            }
+
+            const diagonal = partition.dx !== 0 && partition.dy !== 0;
+            const cost = settings.cost !== null
+                ? settings.cost({ splits, left, right, diagonal })
+                : splits * settings.splitCost +
+                  Math.abs(left - right) * settings.balanceCost +
+                  (diagonal ? settings.diagonalCost : 0);
+
+            if (cost < bestCost) {
+                best = partition;
+                bestCost = cost;
+            }
+        });
+
+        return best;
+    }
+
+    static #segPartition(state, seg) {
+        const a = state.vertices[seg.v0];
+        const b = state.vertices[seg.v1];
+        return { x: a.x, y: a.y, dx: b.x - a.x, dy: b.y - a.y };
+    }
+
+    static #lineKey(partition) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+
+        let dx = partition.dx;
+        let dy = partition.dy;
+        const g = gcd(Math.abs(dx), Math.abs(dy)) || 1;
+        dx /= g;
+        dy /= g;
+        if (dx < 0 || (dx === 0 && dy < 0)) {
+            dx = -dx;
+            dy = -dy;
+        }
+        return `${dx},${dy},${dx * partition.y - dy * partition.x}`;
+    }
+
+    /**
+     * Signed distance term of a point relative to a partition: negative on the right, positive on the left.
+     */
+    static #pointSide(partition, x, y) {
+        return partition.dx * (y - partition.y) - partition.dy * (x - partition.x);
+    }
+
+    /**
+     * Classifies a seg as "right", "left" or "split" relative to a partition.
+     */
+    static #classifySeg(state, seg, partition) {
+        const a = state.vertices[seg.v0];
+        const b = state.vertices[seg.v1];
+        const s0 = NodeBuilder.#pointSide(partition, a.x, a.y);
+        const s1 = NodeBuilder.#pointSide(partition, b.x, b.y);
+
+        if (s0 === 0 && s1 === 0) {
+            // Collinear segs go to the side they face
+            const dot = (b.x - a.x) * partition.dx + (b.y - a.y) * partition.dy;
+            return dot > 0 ? 'right' : 'left';
+        }
+        if (s0 <= 0 && s1 <= 0) {
+            return 'right';
+        }
+        if (s0 >= 0 && s1 >= 0) {
+            return 'left';
+        }
+
+        // Splits that would round onto an endpoint leave the seg whole on its longer side
+        const point = NodeBuilder.#splitPoint(a, b, s0, s1);
+        if ((point.x === a.x && point.y === a.y) || (point.x === b.x && point.y === b.y)) {
+            return Math.abs(s0) > Math.abs(s1)
+                ? (s0 < 0 ? 'right' : 'left')
+                : (s1 < 0 ? 'right' : 'left');
+        }
+        return 'split';
+    }
+
+    static #splitPoint(a, b, s0, s1) {
+        const t = s0 / (s0 - s1);
+        return {
+            x: Math.round(a.x + t * (b.x - a.x)),
+            y: Math.round(a.y + t * (b.y - a.y)),
+        };
+    }
+
+    /**
+     * Sorts a seg into the right or left list, splitting it at the partition if needed.
+     */
+    static #divideSeg(state, seg, partition, right, left) {
+        const side = NodeBuilder.#classifySeg(state, seg, partition);
+        if (side === 'right') {
+            right.push(seg);
+            return;
+        }
+        if (side === 'left') {
+            left.push(seg);
+            return;
+        }
+
+        const a = state.vertices[seg.v0];
+        const b = state.vertices[seg.v1];
+        const s0 = NodeBuilder.#pointSide(partition, a.x, a.y);
+        const s1 = NodeBuilder.#pointSide(partition, b.x, b.y);
+        const point = NodeBuilder.#splitPoint(a, b, s0, s1);
+
+        const key = `${point.x},${point.y}`;
+        let index = state.vertexKeys.get(key);
+        if (index === undefined) {
+            index = state.vertices.length;
+            state.vertices.push(point);
+            state.vertexKeys.set(key, index);
+        }
+
+        const first = { ...seg, v1: index };
+        const second = {
+            ...seg,
+            v0: index,
+            offset: seg.offset + Math.hypot(point.x - a.x, point.y - a.y),
+        };
+
+        if (s0 < 0) {
+            right.push(first);
+            left.push(second);
+        } else {
+            left.push(first);
+            right.push(second);
+        }
+    }
+
+    static #segBounds(state, segs) {
+        let top = -Infinity;
+        let bottom = Infinity;
+        let left = Infinity;
+        let right = -Infinity;
+
+        segs.forEach(seg => {
+            [state.vertices[seg.v0], state.vertices[seg.v1]].forEach(vertex => {
+                top = Math.max(top, vertex.y);
+                bottom = Math.min(bottom, vertex.y);
+                left = Math.min(left, vertex.x);
+                right = Math.max(right, vertex.x);
+            });
+        });
+
+        return { top, bottom, left, right };
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Subsectors
+
+    static #addSubsector(state, segs, region) {
+        // Order segs clockwise around their centre, which for a convex set walks the boundary
+        let cx = 0;
+        let cy = 0;
+        segs.forEach(seg => {
+            const a = state.vertices[seg.v0];
+            const b = state.vertices[seg.v1];
+            cx += a.x + b.x;
+            cy += a.y + b.y;
+        });
+        cx /= segs.length * 2;
+        cy /= segs.length * 2;
+
+        const angleOf = seg => {
+            const a = state.vertices[seg.v0];
+            const b = state.vertices[seg.v1];
+            return Math.atan2((a.y + b.y) / 2 - cy, (a.x + b.x) / 2 - cx);
+        };
+        const ordered = segs
+            .map((seg, i) => ({ seg, angle: angleOf(seg), i }))
+            .sort((p, q) => q.angle - p.angle || p.i - q.i)
+            .map(entry => entry.seg);
+
+        state.subsectors.push({ first: state.segs.length, count: ordered.length });
+        state.segs.push(...ordered);
+
+        if (state.settings.gl) {
+            NodeBuilder.#addGlSubsector(state, ordered, region);
+        }
+
+        return (state.subsectors.length - 1) | NodeBuilder.#SUBSECTOR_FLAG;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // GL nodes
+
+    static #boundsRegion(vertices) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        vertices.forEach(vertex => {
+            minX = Math.min(minX, vertex.x);
+            minY = Math.min(minY, vertex.y);
+            maxX = Math.max(maxX, vertex.x);
+            maxY = Math.max(maxY, vertex.y);
+        });
+
+        const margin = 64;
+        // Clockwise, matching the winding of segs around a subsector
+        return [
+            { x: minX - margin, y: minY - margin },
+            { x: minX - margin, y: maxY + margin },
+            { x: maxX + margin, y: maxY + margin },
+            { x: maxX + margin, y: minY - margin },
+        ];
+    }
+
+    /**
+     * Clips a convex polygon to one side of a partition line.
+     */
+    static #clipRegion(polygon, partition, keepLeft) {
+        const sign = keepLeft ? -1 : 1;
+        const inside = point => sign * NodeBuilder.#pointSide(partition, point.x, point.y) <= 0;
+
+        const result = [];
+        polygon.forEach((current, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            const s0 = NodeBuilder.#pointSide(partition, current.x, current.y);
+            const s1 = NodeBuilder.#pointSide(partition, next.x, next.y);
+
+            if (inside(current)) {
+                result.push(current);
+            }
+            if ((s0 < 0 && s1 > 0) || (s0 > 0 && s1 < 0)) {
+                const t = s0 / (s0 - s1);
+                result.push({
+                    x: current.x + t * (next.x - current.x),
+                    y: current.y + t * (next.y - current.y),
+                });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Builds a closed GL subsector by clipping the node region with every seg in
+     * the leaf and filling the parts of the outline not covered by segs with minisegs.
+     */
+    static #addGlSubsector(state, segs, region) {
+        let polygon = region;
+        segs.forEach(seg => {
+            polygon = NodeBuilder.#clipRegion(polygon, NodeBuilder.#segPartition(state, seg), false);
+        });
+
+        const near = (p, q) => Math.abs(p.x - q.x) < NodeBuilder.#EPSILON && Math.abs(p.y - q.y) < NodeBuilder.#EPSILON;
+
+        // Drop repeated outline points
+        const outline = [];
+        polygon.forEach(point => {
+            if (outline.length === 0 || !near(outline[outline.length - 1], point)) {
+                outline.push(point);
+            }
+        });
+        if (outline.length > 1 && near(outline[0], outline[outline.length - 1])) {
+            outline.pop();
+        }
+
+        // Assign each seg to the outline edge it lies on, ordered along that edge
+        const edgeSegs = outline.map(() => []);
+        segs.forEach(seg => {
+            const a = state.vertices[seg.v0];
+            const b = state.vertices[seg.v1];
+            const mx = (a.x + b.x) / 2;
+            const my = (a.y + b.y) / 2;
+
+            let bestEdge = 0;
+            let bestDistance = Infinity;
+            let bestT = 0;
+            outline.forEach((p, i) => {
+                const q = outline[(i + 1) % outline.length];
+                const ex = q.x - p.x;
+                const ey = q.y - p.y;
+                const lengthSquared = ex * ex + ey * ey;
+                const t = lengthSquared > 0
+                    ? Math.max(0, Math.min(1, ((mx - p.x) * ex + (my - p.y) * ey) / lengthSquared))
+                    : 0;
+                const distance = Math.hypot(p.x + t * ex - mx, p.y + t * ey - my);
+                if (distance < bestDistance) {
+                    bestEdge = i;
+                    bestDistance = distance;
+                    bestT = t;
+                }
+            });
+            edgeSegs[bestEdge].push({ seg, t: bestT });
+        });
+
+        const first = state.glSegs.length;
+        let current = null;
+        let start = null;
+
+        const glVertexOf = point => {
+            // Outline corners that coincide with a map vertex reuse it
+            const rounded = { x: Math.round(point.x), y: Math.round(point.y) };
+            const index = near(point, rounded) ? state.vertexKeys.get(`${rounded.x},${rounded.y}`) : undefined;
+            if (index !== undefined) {
+                return { index, x: rounded.x, y: rounded.y };
+            }
+
+            const existing = state.glVertices.findIndex(vertex => near(vertex, point));
+            if (existing !== -1) {
+                return { index: existing | NodeBuilder.#GL_VERTEX_FLAG, x: point.x, y: point.y };
+            }
+            state.glVertices.push({ x: point.x, y: point.y });
+            return { index: (state.glVertices.length - 1) | NodeBuilder.#GL_VERTEX_FLAG, x: point.x, y: point.y };
+        };
+
+        const moveTo = target => {
+            if (current === null) {
+                current = target;
+                start = target;
+                return;
+            }
+            if (!near(current, target)) {
+                state.glSegs.push({ v0: current.index, v1: target.index, linedef: NodeBuilder.#NONE, side: 0 });
+                current = target;
+            }
+        };
+
+        const vertexRef = index => ({ index, x: state.vertices[index].x, y: state.vertices[index].y });
+
+        const addSeg = seg => {
+            moveTo(vertexRef(seg.v0));
+            state.glSegs.push({ v0: seg.v0, v1: seg.v1, linedef: seg.linedef, side: seg.side });
+            current = vertexRef(seg.v1);
+        };
+
+        if (outline.length < 3) {
+            // Degenerate outline, so close the segs among themselves
+            segs.forEach(addSeg);
+        } else {
+            outline.forEach((point, i) => {
+                moveTo(glVertexOf(point));
+                edgeSegs[i]
+                    .sort((p, q) => p.t - q.t)
+                    .forEach(({ seg }) => addSeg(seg));
+            });
+        }
+
+        if (start !== null) {
+            moveTo(start);
+        }
+
+        state.glSubsectors.push({ first, count: state.glSegs.length - first });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Lump encoders
+
+    static #writeSegs(state) {
+        const bytes = new Uint8Array(state.segs.length * NodeBuilder.#SEG_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        state.segs.forEach((seg, i) => {
+            const offset = i * NodeBuilder.#SEG_SIZE;
+            const a = state.vertices[seg.v0];
+            const b = state.vertices[seg.v1];
+            const angle = Math.round(Math.atan2(b.y - a.y, b.x - a.x) / (Math.PI * 2) * 0x10000) & 0xffff;
+
+            view.setUint16(offset, seg.v0, true);
+            view.setUint16(offset + 2, seg.v1, true);
+            view.setUint16(offset + 4, angle, true);
+            view.setUint16(offset + 6, seg.linedef, true);
+            view.setUint16(offset + 8, seg.side, true);
+            view.setUint16(offset + 10, Math.round(seg.offset), true);
+        });
+
+        return bytes;
+    }
+
+    static #writeSubsectors(subsectors) {
+        const bytes = new Uint8Array(subsectors.length * NodeBuilder.#SUBSECTOR_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        subsectors.forEach((subsector, i) => {
+            const offset = i * NodeBuilder.#SUBSECTOR_SIZE;
+            view.setUint16(offset, subsector.count, true);
+            view.setUint16(offset + 2, subsector.first, true);
+        });
+
+        return bytes;
+    }
+
+    static #writeNodes(nodes) {
+        const bytes = new Uint8Array(nodes.length * NodeBuilder.#NODE_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        const writeBox = (offset, box) => {
+            view.setInt16(offset, box.top, true);
+            view.setInt16(offset + 2, box.bottom, true);
+            view.setInt16(offset + 4, box.left, true);
+            view.setInt16(offset + 6, box.right, true);
+        };
+
+        nodes.forEach((node, i) => {
+            const offset = i * NodeBuilder.#NODE_SIZE;
+            view.setInt16(offset, node.x, true);
+            view.setInt16(offset + 2, node.y, true);
+            view.setInt16(offset + 4, node.dx, true);
+            view.setInt16(offset + 6, node.dy, true);
+            writeBox(offset + 8, node.rightBox);
+            writeBox(offset + 16, node.leftBox);
+            view.setUint16(offset + 24, node.right, true);
+            view.setUint16(offset + 26, node.left, true);
+        });
+
+        return bytes;
+    }
+
+    static #writeGlVertices(glVertices) {
+        const bytes = new Uint8Array(4 + glVertices.length * NodeBuilder.#GL_VERTEX_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        // Version 2 magic
+        bytes.set([0x67, 0x4e, 0x64, 0x32], 0);
+
+        glVertices.forEach((vertex, i) => {
+            const offset = 4 + i * NodeBuilder.#GL_VERTEX_SIZE;
+            view.setInt32(offset, Math.round(vertex.x * 0x10000), true);
+            view.setInt32(offset + 4, Math.round(vertex.y * 0x10000), true);
+        });
+
+        return bytes;
+    }
+
+    static #writeGlSegs(glSegs) {
+        const bytes = new Uint8Array(glSegs.length * NodeBuilder.#GL_SEG_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        glSegs.forEach((seg, i) => {
+            const offset = i * NodeBuilder.#GL_SEG_SIZE;
+            view.setUint16(offset, seg.v0, true);
+            view.setUint16(offset + 2, seg.v1, true);
+            view.setUint16(offset + 4, seg.linedef, true);
+            view.setUint16(offset + 6, seg.side, true);
+            view.setUint16(offset + 8, NodeBuilder.#NONE, true);
+        });
+
+        return bytes;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Settings and Doom line specials of the door and lift prefabs built by {@link DoomMap#makeDoor}
+ * and {@link DoomMap#makeLift}.
+ *
+ * Specials are the vanilla Doom line types. Doors are opened by using their faces and act on
+ * the sector on the back side, lifts lower the sector whose tag matches the line tag.
+ */
+export default class PrefabBuilder {
+    /** @type {string[]} Movement speeds, normal or blazing. */
+    static SPEEDS = ['normal', 'fast'];
+
+    /** @type {string[]} Keys that can lock a door. */
+    static KEYS = ['blue', 'yellow', 'red'];
+
+    /** @type {string[]} Ways a lift is triggered, by using a face or walking over it. */
+    static TRIGGERS = ['switch', 'walk'];
+
+    /**
+     * Default door options.
+     *
+     * @type {{ depth: number, speed: string, key: ?string, stayOpen: boolean, tag: ?number,
+     *          texture: string, trackTexture: string, ceilingTexture: ?string }}
+     */
+    static DOOR_OPTIONS = {
+        /** Thickness of a door built across a line. */
+        depth: 16,
+        /** Door speed, one of {@link PrefabBuilder.SPEEDS}. */
+        speed: 'normal',
+        /** Key needed to open the door, one of {@link PrefabBuilder.KEYS}, or null if none. */
+        key: null,
+        /** Whether the door stays open instead of closing again. */
+        stayOpen: false,
+        /** Sector tag, so triggers elsewhere can operate the door as well. Left unchanged if not set. */
+        tag: null,
+        /** Upper texture on the faces of the door. */
+        texture: 'BIGDOOR2',
+        /** Texture of the jambs, which stays in place while the door moves. */
+        trackTexture: 'DOORTRAK',
+        /** Ceiling texture of the door sector. Left unchanged if not set. */
+        ceilingTexture: null,
+    };
+
+    /**
+     * Default lift options.
+     *
+     * @type {{ depth: number, height: ?number, speed: string, trigger: string, repeatable: boolean,
+     *          tag: ?number, texture: string }}
+     */
+    static LIFT_OPTIONS = {
+        /** Depth of a lift built against a line. */
+        depth: 64,
+        /** Floor height of the raised lift. If not set, the highest neighboring floor. */
+        height: null,
+        /** Lift speed, one of {@link PrefabBuilder.SPEEDS}. */
+        speed: 'normal',
+        /** How the lift is triggered, one of {@link PrefabBuilder.TRIGGERS}. */
+        trigger: 'switch',
+        /** Whether the lift can be triggered more than once. */
+        repeatable: true,
+        /** Tag linking the lift sector and its trigger lines. If not set, an unused tag is taken. */
+        tag: null,
+        /** Lower texture on the faces of the lift, which moves with it. */
+        texture: 'PLAT1',
+    };
+
+    /** @type {Object<string, number>} Manual door specials by stay open, key and speed. */
+    static #DOOR_SPECIALS = {
+        'close:none:normal': 1,
+        'close:none:fast': 117,
+        'close:blue:normal': 26,
+        'close:yellow:normal': 27,
+        'close:red:normal': 28,
+        'stay:none:normal': 31,
+        'stay:none:fast': 118,
+        'stay:blue:normal': 32,
+        'stay:red:normal': 33,
+        'stay:yellow:normal': 34,
+    };
+
+    /** @type {Object<string, number>} Lower-wait-raise lift specials by trigger, repeatability and speed. */
+    static #LIFT_SPECIALS = {
+        'switch:once:normal': 21,
+        'switch:once:fast': 122,
+        'switch:repeat:normal': 62,
+        'switch:repeat:fast': 123,
+        'walk:once:normal': 10,
+        'walk:once:fast': 121,
+        'walk:repeat:normal': 88,
+        'walk:repeat:fast': 120,
+    };
+
+    /**
+     * Returns the line special of a door.
+     *
+     * @param {object} settings - Door options, see {@link PrefabBuilder.DOOR_OPTIONS}.
+     * @returns {number} The line special.
+     * @throws {Error} If an option is unknown or Doom has no door of that kind.
+     */
+    static doorSpecial(settings) {
+        PrefabBuilder.#check('speed', settings.speed, PrefabBuilder.SPEEDS);
+        if (settings.key !== null) {
+            PrefabBuilder.#check('key', settings.key, PrefabBuilder.KEYS);
+        }
+
+        const key = `${settings.stayOpen ? 'stay' : 'close'}:${settings.key ?? 'none'}:${settings.speed}`;
+        const special = PrefabBuilder.#DOOR_SPECIALS[key];
+        if (special === undefined) {
+            throw new Error(`There is no ${settings.speed} door locked by the ${settings.key} key`);
+        }
+        return special;
+    }
+
+    /**
+     * Returns the line special of a lift.
+     *
+     * @param {object} settings - Lift options, see {@link PrefabBuilder.LIFT_OPTIONS}.
+     * @returns {number} The line special.
+     * @throws {Error} If an option is unknown.
+     */
+    static liftSpecial(settings) {
+        PrefabBuilder.#check('speed', settings.speed, PrefabBuilder.SPEEDS);
+        PrefabBuilder.#check('trigger', settings.trigger, PrefabBuilder.TRIGGERS);
+
+        return PrefabBuilder.#LIFT_SPECIALS[`${settings.trigger}:${settings.repeatable ? 'repeat' : 'once'}:${settings.speed}`];
+    }
+
+    /**
+     * Returns the outline of a rectangle along a line, reaching out from it to the front and back.
+     *
+     * @param {Line} line - The line.
+     * @param {number} front - Distance the rectangle reaches out to the front side.
+     * @param {number} back - Distance the rectangle reaches out to the back side.
+     * @returns {number[]} Corners as flat [x0, y0, x1, y1, ...] coordinates.
+     */
+    static outline(line, front, back) {
+        const dx = line.v1.x - line.v0.x;
+        const dy = line.v1.y - line.v0.y;
+        const length = Math.hypot(dx, dy);
+
+        // The front side lies left of v0 -> v1
+        const nx = -dy / length;
+        const ny = dx / length;
+        return [
+            line.v0.x - nx * back, line.v0.y - ny * back,
+            line.v1.x - nx * back, line.v1.y - ny * back,
+            line.v1.x + nx * front, line.v1.y + ny * front,
+            line.v0.x + nx * front, line.v0.y + ny * front,
+        ];
+    }
+
+    static #check(option, value, allowed) {
+        if (!allowed.includes(value)) {
+            throw new Error(`Unknown ${option} "${value}"`);
+        }
+    }
+}
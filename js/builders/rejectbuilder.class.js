@@ -0,0 +1,226 @@
+/**
+ * Builds the REJECT lump, a table telling the engine which sectors can never
+ * see each other so that sight checks between them can be skipped.
+ *
+ * Visibility is traced through portals, the two-sided linedefs joining different
+ * sectors: a sector sees another if some straight line passes through a chain of
+ * portals leading from one to the other. The result is conservative, so a pair
+ * is only rejected when no such line exists. Sector heights are ignored since
+ * doors and lifts may open any portal during play.
+ */
+export default class RejectBuilder {
+    /** @type {number} Distance under which a point is considered to lie on a line. */
+    static #EPSILON = 1 / 64;
+
+    /**
+     * Default build options.
+     *
+     * @type {{ maxSteps: number }}
+     */
+    static DEFAULT_OPTIONS = {
+        /**
+         * Number of portals traced per source sector before giving up and treating
+         * every sector connected to it as visible.
+         */
+        maxSteps: 100000,
+    };
+
+    /**
+     * Builds the reject table.
+     *
+     * @param {object} records - Map records.
+     * @param {Array<{x:number, y:number}>} records.vertices - Vertex positions.
+     * @param {Array<{v0:number, v1:number, front:number, back:number}>} records.linedefs
+     *        Linedefs with vertex indices and sidedef indices (-1 for none).
+     * @param {Array<{sector:number}>} records.sidedefs - Sidedefs with a sector index.
+     * @param {number} records.sectorCount - Number of sectors.
+     * @param {object} [options] - Overrides for {@link RejectBuilder.DEFAULT_OPTIONS}.
+     * @returns {Uint8Array} The REJECT lump.
+     */
+    static build({ vertices, linedefs, sidedefs, sectorCount }, options = {}) {
+        const settings = { ...RejectBuilder.DEFAULT_OPTIONS, ...options };
+
+        // Portals leaving each sector, oriented so the sector behind them lies on the right
+        const portals = Array.from({ length: sectorCount }, () => []);
+        linedefs.forEach((linedef, i) => {
+            if (linedef.front === -1 || linedef.back === -1) {
+                return;
+            }
+
+            const front = sidedefs[linedef.front].sector;
+            const back = sidedefs[linedef.back].sector;
+            if (front === back) {
+                return;
+            }
+
+            // The front sidedef faces the right side of v0 -> v1
+            const a = vertices[linedef.v0];
+            const b = vertices[linedef.v1];
+            portals[front].push({ line: i, to: back, a, b });
+            portals[back].push({ line: i, to: front, a: b, b: a });
+        });
+
+        const visible = Array.from({ length: sectorCount }, (_, i) => {
+            const row = new Uint8Array(sectorCount);
+            row[i] = 1;
+            return row;
+        });
+
+        for (let sector = 0; sector < sectorCount; sector++) {
+            const state = {
+                portals,
+                row: visible[sector],
+                lines: new Set(),
+                steps: 0,
+                maxSteps: settings.maxSteps,
+            };
+
+            const complete = portals[sector].every(source => {
+                state.row[source.to] = 1;
+                state.lines.add(source.line);
+                const result = RejectBuilder.#flow(state, source, source, source.to);
+                state.lines.delete(source.line);
+                return result;
+            });
+
+            if (!complete) {
+                RejectBuilder.#markConnected(portals, sector, state.row);
+            }
+        }
+
+        // Sight is symmetric, so keep any pair seen from either end
+        const bytes = new Uint8Array(Math.ceil(sectorCount * sectorCount / 8));
+        for (let i = 0; i < sectorCount; i++) {
+            for (let j = 0; j < sectorCount; j++) {
+                if (!visible[i][j] && !visible[j][i]) {
+                    const bit = i * sectorCount + j;
+                    bytes[bit >> 3] |= 1 << (bit & 7);
+                }
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Follows the sight lines passing through the source portal and then the pass portal
+     * into a sector, marking every sector reached. Returns false if the step budget ran out.
+     */
+    static #flow(state, source, pass, sector) {
+        for (const portal of state.portals[sector]) {
+            if (state.lines.has(portal.line)) {
+                continue;
+            }
+
+            if (++state.steps > state.maxSteps) {
+                return false;
+            }
+
+            const target = RejectBuilder.#clipToSight(portal, source, pass);
+            if (target === null) {
+                continue;
+            }
+
+            state.row[portal.to] = 1;
+
+            state.lines.add(portal.line);
+            const complete = RejectBuilder.#flow(state, source, { ...portal, ...target }, portal.to);
+            state.lines.delete(portal.line);
+
+            if (!complete) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Clips a portal to the part reachable by straight lines through both the source
+     * and the pass portal. Returns null if nothing remains.
+     */
+    static #clipToSight(portal, source, pass) {
+        const epsilon = RejectBuilder.#EPSILON;
+
+        // The sight line continues beyond the source and the pass portal
+        let segment = RejectBuilder.#clip(portal, source.a, source.b, epsilon);
+        segment = segment && RejectBuilder.#clip(segment, pass.a, pass.b, epsilon);
+
+        // It also stays between the lines separating the two portals
+        if (pass !== source) {
+            const sourcePoints = [source.a, source.b];
+            const passPoints = [pass.a, pass.b];
+            for (let i = 0; i < 2 && segment !== null; i++) {
+                for (let j = 0; j < 2 && segment !== null; j++) {
+                    const from = sourcePoints[i];
+                    const to = passPoints[j];
+                    const sourceSide = RejectBuilder.#distance(from, to, sourcePoints[1 - i]);
+                    const passSide = RejectBuilder.#distance(from, to, passPoints[1 - j]);
+                    if (sourceSide * passSide >= 0) {
+                        continue;
+                    }
+                    segment = passSide > 0
+                        ? RejectBuilder.#clip(segment, from, to, -epsilon)
+                        : RejectBuilder.#clip(segment, to, from, -epsilon);
+                }
+            }
+        }
+
+        if (segment === null || Math.hypot(segment.b.x - segment.a.x, segment.b.y - segment.a.y) <= epsilon) {
+            return null;
+        }
+        return segment;
+    }
+
+    /**
+     * Keeps the part of a segment lying at least `min` units to the left of line from -> to.
+     */
+    static #clip(segment, from, to, min) {
+        const da = RejectBuilder.#distance(from, to, segment.a) - min;
+        const db = RejectBuilder.#distance(from, to, segment.b) - min;
+
+        if (da < 0 && db < 0) {
+            return null;
+        }
+        if (da >= 0 && db >= 0) {
+            return segment;
+        }
+
+        const t = da / (da - db);
+        const point = {
+            x: segment.a.x + (segment.b.x - segment.a.x) * t,
+            y: segment.a.y + (segment.b.y - segment.a.y) * t,
+        };
+        return da >= 0 ? { a: segment.a, b: point } : { a: point, b: segment.b };
+    }
+
+    /**
+     * Signed distance of a point from the line from -> to, positive on the left.
+     */
+    static #distance(from, to, point) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) {
+            return 0;
+        }
+        return (dx * (point.y - from.y) - dy * (point.x - from.x)) / length;
+    }
+
+    /**
+     * Marks every sector connected to a sector through portals as visible.
+     */
+    static #markConnected(portals, sector, row) {
+        const stack = [sector];
+        const visited = new Set(stack);
+        while (stack.length > 0) {
+            portals[stack.pop()].forEach(portal => {
+                row[portal.to] = 1;
+                if (!visited.has(portal.to)) {
+                    visited.add(portal.to);
+                    stack.push(portal.to);
+                }
+            });
+        }
+    }
+}
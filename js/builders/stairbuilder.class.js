@@ -0,0 +1,116 @@
+/**
+ * Lays out the steps of a staircase along a path.
+ *
+ * The path is the center line of the staircase, a polyline that may follow a curve
+ * flattened by {@link Curve.flatten}. It is divided into steps of equal length, each
+ * as wide as the staircase across the path. Where the path bends inside a step, the
+ * step outline bends with it, mitered at the path point.
+ */
+export default class StairBuilder {
+    /**
+     * Default staircase options.
+     *
+     * @type {{ steps: number, width: number, rise: number, startHeight: ?number, headroom: ?number,
+     *          lightLevels: ?number[], riserTexture: ?string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Number of steps. */
+        steps: 8,
+        /** Width of the staircase across the path. */
+        width: 128,
+        /** Floor height difference between consecutive steps, negative for stairs going down. */
+        rise: 8,
+        /** Floor height of the first step. If not set, it is derived from the floor the stairs start from. */
+        startHeight: null,
+        /** Height of each step's ceiling above its floor. Ceilings are left unchanged if not set. */
+        headroom: null,
+        /** Light levels of the first and last step, interpolated in between. Left unchanged if not set. */
+        lightLevels: null,
+        /** Lower texture of the step edges facing a lower floor. Left unchanged if not set. */
+        riserTexture: 'STEP1',
+    };
+
+    /**
+     * Lays out the steps along a path.
+     *
+     * @param {Array<{x:number, y:number}>} path - Center line of the staircase, from bottom to top.
+     * @param {object} [options] - Overrides for {@link StairBuilder.DEFAULT_OPTIONS}.
+     * @returns {Array<{outline: number[], center: {x:number, y:number}}>} Counter-clockwise outline of
+     *          each step as flat [x0, y0, x1, y1, ...] coordinates, and the point of the path in its middle.
+     * @throws {Error} If the path has no length, or the step count or width is not positive.
+     */
+    static layout(path, options = {}) {
+        const settings = { ...StairBuilder.DEFAULT_OPTIONS, ...options };
+        if (!Number.isInteger(settings.steps) || settings.steps < 1) {
+            throw new Error('Step count must be a positive integer');
+        }
+        if (!(settings.width > 0)) {
+            throw new Error('Stair width must be positive');
+        }
+
+        // Path without repeated points, with the distance along the path of each point
+        const points = path.filter((p, i) => i === 0 || p.x !== path[i - 1].x || p.y !== path[i - 1].y);
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const length = distances[distances.length - 1];
+        if (points.length < 2 || length === 0) {
+            throw new Error('Stair path has no length');
+        }
+
+        // Unit normals to the left of each segment, and miters at the points joining two segments
+        const normals = [];
+        for (let i = 1; i < points.length; i++) {
+            const d = distances[i] - distances[i - 1];
+            normals.push({ x: -(points[i].y - points[i - 1].y) / d, y: (points[i].x - points[i - 1].x) / d });
+        }
+        const miter = i => {
+            const a = normals[Math.max(0, i - 1)];
+            const b = normals[Math.min(normals.length - 1, i)];
+            const scale = 1 + a.x * b.x + a.y * b.y;
+            return scale > 1e-9 ? { x: (a.x + b.x) / scale, y: (a.y + b.y) / scale } : a;
+        };
+
+        // Point of the path at a distance, offset across it. The offset direction blends between the
+        // miters at the ends of a segment, so outlines stay free of folds on the inside of bends
+        const station = (distance, offset) => {
+            let i = 1;
+            while (i < points.length - 1 && distances[i] < distance) {
+                i++;
+            }
+            const a = points[i - 1];
+            const b = points[i];
+            const t = (distance - distances[i - 1]) / (distances[i] - distances[i - 1]);
+            const m0 = miter(i - 1);
+            const m1 = miter(i);
+            const normal = { x: m0.x + (m1.x - m0.x) * t, y: m0.y + (m1.y - m0.y) * t };
+            return {
+                x: a.x + (b.x - a.x) * t + normal.x * offset,
+                y: a.y + (b.y - a.y) * t + normal.y * offset,
+            };
+        };
+
+        const half = settings.width / 2;
+        const steps = [];
+        for (let s = 0; s < settings.steps; s++) {
+            const d0 = length * s / settings.steps;
+            const d1 = length * (s + 1) / settings.steps;
+            const inner = [];
+            for (let i = 1; i < points.length - 1; i++) {
+                if (distances[i] > d0 && distances[i] < d1) {
+                    inner.push(distances[i]);
+                }
+            }
+
+            // Right edge forward, then left edge back
+            const right = [d0, ...inner, d1].map(d => station(d, -half));
+            const left = [d1, ...[...inner].reverse(), d0].map(d => station(d, half));
+            steps.push({
+                outline: [...right, ...left].flatMap(p => [p.x, p.y]),
+                center: station((d0 + d1) / 2, 0),
+            });
+        }
+        return steps;
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Flattening of Bezier curves and Catmull-Rom splines into chains of points.
+ *
+ * A control polygon is split into pieces running from one point on the curve (an anchor)
+ * to the next, so callers can tell which part of the control polygon each point belongs to.
+ */
+export default class Curve {
+    /** @type {string[]} Curve types. */
+    static TYPES = ['quadratic', 'cubic', 'catmull-rom'];
+
+    /** @type {number} Deepest subdivision when flattening to a tolerance. */
+    static #MAX_DEPTH = 16;
+
+    /**
+     * Default flattening options.
+     *
+     * @type {{ segments: ?number, tolerance: number, closed: boolean }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Number of segments per piece. If not set, pieces are subdivided to `tolerance`. */
+        segments: null,
+        /** Largest distance between the curve and the segments approximating it. */
+        tolerance: 1,
+        /** Whether a Catmull-Rom spline loops back to its first point. */
+        closed: false,
+    };
+
+    /**
+     * Flattens a curve given by its control polygon.
+     *
+     * A quadratic Bezier takes 2n+1 points and a cubic Bezier 3n+1 points, for n pieces joined
+     * at their end points. A Catmull-Rom spline passes through all of its points, at least two.
+     * It is parameterized centripetally, so it forms no loops or cusps within a piece.
+     *
+     * @param {string} type - Curve type, one of {@link Curve.TYPES}.
+     * @param {Array<{x:number, y:number}>} points - Control points.
+     * @param {object} [options] - Overrides for {@link Curve.DEFAULT_OPTIONS}.
+     * @returns {Array<Array<{x:number, y:number}>>} Points of each piece, from its first anchor to
+     *          the next. Consecutive pieces share their anchor.
+     * @throws {Error} If the type is unknown, the number of control points does not fit it,
+     *                 or the segment count or tolerance is not positive.
+     */
+    static flatten(type, points, options = {}) {
+        const settings = { ...Curve.DEFAULT_OPTIONS, ...options };
+        if (settings.segments !== null && !(Number.isInteger(settings.segments) && settings.segments > 0)) {
+            throw new Error('Segment count must be a positive integer');
+        }
+        if (settings.segments === null && !(settings.tolerance > 0)) {
+            throw new Error('Tolerance must be positive');
+        }
+
+        return Curve.#pieces(type, points, settings.closed).map(evaluate => {
+            const chain = [evaluate(0)];
+            if (settings.segments !== null) {
+                for (let i = 1; i <= settings.segments; i++) {
+                    chain.push(evaluate(i / settings.segments));
+                }
+            } else {
+                Curve.#subdivide(evaluate, 0, chain[0], 1, evaluate(1), settings.tolerance, 0, chain);
+            }
+            return chain;
+        });
+    }
+
+    /**
+     * Splits a control polygon into functions evaluating each piece at t in [0, 1].
+     */
+    static #pieces(type, points, closed) {
+        const pieces = [];
+        switch (type) {
+            case 'quadratic':
+                if (points.length < 3 || points.length % 2 !== 1) {
+                    throw new Error('A quadratic Bezier curve needs 2n+1 control points');
+                }
+                for (let i = 0; i + 2 < points.length; i += 2) {
+                    const [p0, p1, p2] = points.slice(i, i + 3);
+                    pieces.push(t => {
+                        const s = 1 - t;
+                        return {
+                            x: s * s * p0.x + 2 * s * t * p1.x + t * t * p2.x,
+                            y: s * s * p0.y + 2 * s * t * p1.y + t * t * p2.y,
+                        };
+                    });
+                }
+                return pieces;
+            case 'cubic':
+                if (points.length < 4 || points.length % 3 !== 1) {
+                    throw new Error('A cubic Bezier curve needs 3n+1 control points');
+                }
+                for (let i = 0; i + 3 < points.length; i += 3) {
+                    const [p0, p1, p2, p3] = points.slice(i, i + 4);
+                    pieces.push(t => {
+                        const s = 1 - t;
+                        return {
+                            x: s * s * s * p0.x + 3 * s * s * t * p1.x + 3 * s * t * t * p2.x + t * t * t * p3.x,
+                            y: s * s * s * p0.y + 3 * s * s * t * p1.y + 3 * s * t * t * p2.y + t * t * t * p3.y,
+                        };
+                    });
+                }
+                return pieces;
+            case 'catmull-rom': {
+                if (points.length < 2) {
+                    throw new Error('A Catmull-Rom spline needs at least 2 control points');
+                }
+                // Open ends are continued by mirroring the neighboring point
+                const n = points.length;
+                const at = i => {
+                    if (closed) {
+                        return points[(i + n) % n];
+                    }
+                    if (i < 0) {
+                        return { x: 2 * points[0].x - points[1].x, y: 2 * points[0].y - points[1].y };
+                    }
+                    if (i >= n) {
+                        return { x: 2 * points[n - 1].x - points[n - 2].x, y: 2 * points[n - 1].y - points[n - 2].y };
+                    }
+                    return points[i];
+                };
+                const count = closed ? n : n - 1;
+                for (let i = 0; i < count; i++) {
+                    pieces.push(Curve.#centripetal(at(i - 1), at(i), at(i + 1), at(i + 2)));
+                }
+                return pieces;
+            }
+            default:
+                throw new Error(`Unknown curve type "${type}"`);
+        }
+    }
+
+    /**
+     * Returns a function evaluating the centripetal Catmull-Rom piece from p1 to p2 at t in [0, 1],
+     * by the pyramidal formulation of Barry and Goldman.
+     */
+    static #centripetal(p0, p1, p2, p3) {
+        // Knot intervals are the square roots of the distances, kept away from zero for repeated points
+        const knot = (a, b) => Math.max(Math.sqrt(Math.hypot(b.x - a.x, b.y - a.y)), 1e-6);
+        const t0 = 0;
+        const t1 = t0 + knot(p0, p1);
+        const t2 = t1 + knot(p1, p2);
+        const t3 = t2 + knot(p2, p3);
+
+        const lerp = (a, b, ta, tb, t) => ({
+            x: ((tb - t) * a.x + (t - ta) * b.x) / (tb - ta),
+            y: ((tb - t) * a.y + (t - ta) * b.y) / (tb - ta),
+        });
+
+        return u => {
+            if (u === 0) {
+                return { x: p1.x, y: p1.y };
+            }
+            if (u === 1) {
+                return { x: p2.x, y: p2.y };
+            }
+            const t = t1 + (t2 - t1) * u;
+            const a1 = lerp(p0, p1, t0, t1, t);
+            const a2 = lerp(p1, p2, t1, t2, t);
+            const a3 = lerp(p2, p3, t2, t3, t);
+            const b1 = lerp(a1, a2, t0, t2, t);
+            const b2 = lerp(a2, a3, t1, t3, t);
+            return lerp(b1, b2, t1, t2, t);
+        };
+    }
+
+    /**
+     * Appends points of a piece between t0 and t1, excluding p0 and including p1, halving the
+     * interval until the curve stays within tolerance of the segment between its ends.
+     */
+    static #subdivide(evaluate, t0, p0, t1, p1, tolerance, depth, out) {
+        // The quarter points are tested as well, so an S-bend through the middle is not mistaken for flat
+        const tm = (t0 + t1) / 2;
+        const pm = evaluate(tm);
+        const flat = depth >= Curve.#MAX_DEPTH ||
+            [pm, evaluate((t0 + tm) / 2), evaluate((tm + t1) / 2)]
+                .every(p => Curve.#distanceToSegment(p, p0, p1) <= tolerance);
+
+        if (flat) {
+            out.push(p1);
+            return;
+        }
+        Curve.#subdivide(evaluate, t0, p0, tm, pm, tolerance, depth + 1, out);
+        Curve.#subdivide(evaluate, tm, pm, t1, p1, tolerance, depth + 1, out);
+    }
+
+    static #distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+    }
+}
@@ -2,6 +2,15 @@ import Line from './geometry/line.class.js';
 import Sector from './geometry/sector.class.js';
 import Thing from './geometry/thing.class.js';
 import Vertex from './geometry/vertex.class.js';
+import MapValidator from './analysis/mapvalidator.class.js';
+import NavigationGraph from './analysis/navigationgraph.class.js';
+import PrefabBuilder from './builders/prefabbuilder.class.js';
+import StairBuilder from './builders/stairbuilder.class.js';
+import Gltf from './formats/gltf.class.js';
+import Obj from './formats/obj.class.js';
+import Svg from './formats/svg.class.js';
+import Udmf from './formats/udmf.class.js';
+import Curve from './curve.class.js';
 import History from './history.class.js';
 import Utility from './utility.class.js';
 
@@ -12,6 +21,15 @@ export default class DoomMap extends EventTarget {
     /** @type {number} Spatial grid size in map units. */
     static #SPATIAL_GRID_CELL_SIZE = 128;
 
+    /** @type {string[]} Integer line properties editable through {@link DoomMap#setLineProperty}. */
+    static #LINE_PROPERTIES = ['special', 'tag'];
+
+    /** @type {string[]} Numeric thing properties editable through {@link DoomMap#setThingProperty}. */
+    static #THING_PROPERTIES = ['z', 'typeId', 'angle'];
+
+    /** @type {number} Length in map units of the segments drawn shapes approximate curves with. */
+    static #CURVE_SEGMENT_LENGTH = 32;
+
     /** @type {object} Map metadata and global properties. */
     #metadata = {
         /** @type {string} Internal map name (e.g., "MAP01" or "E1M1"). */
@@ -39,6 +57,8 @@ export default class DoomMap extends EventTarget {
             /** @type {boolean} Whether to use Doom II format behaviors. */
             doom2Format: false,
         },
+        /** @type {object} Global UDMF fields besides the namespace, see {@link Udmf}. */
+        extra: {},
     };
     get metadata() {
         return this.#metadata;
@@ -62,6 +82,8 @@ export default class DoomMap extends EventTarget {
     #lineMap = new Map();
     /** @type {Set<Line>} */
     #modifiedLines = new Set();
+    /** @type {?{removed: ?object[]}} Sectors the next rebuild removes, restored when the edits before it are undone. */
+    #pendingRebuild = null;
 
     /** @type {Sector[]} */
     #sectors = [];
@@ -69,12 +91,20 @@ export default class DoomMap extends EventTarget {
     /** @type {Thing[]} */
     #things = [];
 
+    /** @type {Map<number, Geometry>} Geometry in the map by stable ID. */
+    #idMap = new Map();
+    /** @type {number} Next unused geometry ID. */
+    #nextId = 1;
+
     /** @type {Set<object>} */
     #selection = new Set();
 
     /** @type {Map<number, Map<number, Set<object>>>} */
     #spatialGrid = new Map();
 
+    /** @type {?{minX: number, minY: number, maxX: number, maxY: number}} Range of occupied grid cells, null once it may have shrunk. */
+    #spatialGridExtents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
     ////////////////////////////////////////////////////////////////////////////
     // String keys
 
@@ -107,9 +137,14 @@ export default class DoomMap extends EventTarget {
     #addVertex(vertex) {
         const key = DoomMap.createVertexKey(vertex.x, vertex.y);
 
+        // Actions look geometry up by key, as undo and redo may recreate objects
         this.#history.do(() => {
+            if (this.#vertexMap.has(key)) {
+                return;
+            }
             this.#vertices.push(vertex);
             this.#vertexMap.set(key, vertex);
+            this.#registerId(vertex);
             this.#addToSpatialGrid(vertex);
 
             this.#emitChange('vertexadded', { vertex });
@@ -119,6 +154,7 @@ export default class DoomMap extends EventTarget {
                 this.#removeFromSpatialGrid(v);
                 this.#vertices.splice(this.#vertices.indexOf(v), 1);
                 this.#vertexMap.delete(key);
+                this.#unregisterId(v);
 
                 this.#emitChange('vertexremoved', { vertex: v });
             }
@@ -134,17 +170,23 @@ export default class DoomMap extends EventTarget {
         const key = DoomMap.createVertexKey(vertex.x, vertex.y);
 
         this.#history.do(() => {
-            this.#removeFromSpatialGrid(vertex);
-            this.#vertices.splice(i, 1);
-            this.#vertexMap.delete(key);
+            const v = this.#vertexMap.get(key);
+            if (v !== undefined) {
+                this.#removeFromSpatialGrid(v);
+                this.#vertices.splice(this.#vertices.indexOf(v), 1);
+                this.#vertexMap.delete(key);
+                this.#unregisterId(v);
 
-            this.#emitChange('vertexremoved', { vertex });
+                this.#emitChange('vertexremoved', { vertex: v });
+            }
         }, () => {
             let v = this.#vertexMap.get(key);
             if (v === undefined) {
                 v = new Vertex(vertex.x, vertex.y);
+                v.id = vertex.id;
                 this.#vertices.push(v);
                 this.#vertexMap.set(key, v);
+                this.#registerId(v);
                 this.#addToSpatialGrid(v);
 
                 this.#emitChange('vertexadded', { vertex: v });
@@ -155,13 +197,26 @@ export default class DoomMap extends EventTarget {
     #addLine(line) {
         const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
 
+        this.#anchorRebuild();
+
         this.#history.do(() => {
-            this.#modifiedLines.add(line);
-            this.#lines.push(line);
-            this.#lineMap.set(key, line);
-            this.#addToSpatialGrid(line);
+            if (this.#lineMap.has(key)) {
+                return;
+            }
+
+            // A redone line was detached from its vertices when undone, so a fresh copy is attached
+            const attached = line.v0.lines.includes(line) &&
+                this.#vertexMap.get(DoomMap.createVertexKey(line.v0.x, line.v0.y)) === line.v0 &&
+                this.#vertexMap.get(DoomMap.createVertexKey(line.v1.x, line.v1.y)) === line.v1;
+            const l = attached ? line : line.clone(this.#vertexMap, line.v0, line.v1);
 
-            this.#emitChange('lineadded', { line });
+            this.#modifiedLines.add(l);
+            this.#lines.push(l);
+            this.#lineMap.set(key, l);
+            this.#registerId(l);
+            this.#addToSpatialGrid(l);
+
+            this.#emitChange('lineadded', { line: l });
         }, () => {
             const l = this.#lineMap.get(key);
             if (l !== undefined) {
@@ -170,6 +225,7 @@ export default class DoomMap extends EventTarget {
                 l.clearVertices();
                 this.#lines.splice(this.#lines.indexOf(l), 1);
                 this.#lineMap.delete(key);
+                this.#unregisterId(l);
 
                 this.#emitChange('lineremoved', { line: l });
             }
@@ -183,15 +239,24 @@ export default class DoomMap extends EventTarget {
         }
 
         const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
+        // Sectors relinked on undo only restore the sides they are bounded by, not the sides
+        // of dangling or interior lines that face the sector around them
+        const sides = this.#snapshotSides([line]);
+
+        this.#anchorRebuild();
 
         this.#history.do(() => {
-            this.#modifiedLines.add(line);
-            this.#removeFromSpatialGrid(line);
-            line.clearVertices();
-            this.#lines.splice(i, 1);
-            this.#lineMap.delete(key);
+            const l = this.#lineMap.get(key);
+            if (l !== undefined) {
+                this.#modifiedLines.add(l);
+                this.#removeFromSpatialGrid(l);
+                l.clearVertices();
+                this.#lines.splice(this.#lines.indexOf(l), 1);
+                this.#lineMap.delete(key);
+                this.#unregisterId(l);
 
-            this.#emitChange('lineremoved', { line });
+                this.#emitChange('lineremoved', { line: l });
+            }
         }, () => {
             let l = this.#lineMap.get(key);
             if (l === undefined) {
@@ -199,7 +264,9 @@ export default class DoomMap extends EventTarget {
                 this.#modifiedLines.add(l);
                 this.#lines.push(l);
                 this.#lineMap.set(key, l);
+                this.#registerId(l);
                 this.#addToSpatialGrid(l);
+                this.#restoreSides(sides);
 
                 this.#emitChange('lineadded', { line: l });
             }
@@ -209,6 +276,7 @@ export default class DoomMap extends EventTarget {
     #addSector(sector) {
         sector.addToMap(this);
         this.#sectors.push(sector);
+        this.#registerId(sector);
         this.#addToSpatialGrid(sector);
 
         this.#emitChange('sectoradded', { sector });
@@ -219,19 +287,120 @@ export default class DoomMap extends EventTarget {
         if (i === -1) {
             throw new Error('Attempted to remove non-existent sector');
         }
-        sector.clearLines();
         this.#removeFromSpatialGrid(sector);
         this.#sectors.splice(i, 1);
+        this.#unregisterId(sector);
         sector.removeFromMap();
+        sector.clearLines();
 
         this.#emitChange('sectorremoved', { sector });
     }
 
+    /**
+     * Clears the sides a new sector is about to take. Sectors added before it point their
+     * external sides at their parent, including the sides facing the new sector.
+     *
+     * @param {Array<{v0:{x:number,y:number}, v1:{x:number,y:number}, front:boolean}>} lines - Line descriptors of the new sector.
+     */
+    #clearInheritedSides(lines) {
+        lines.forEach(line => {
+            const l = this.#lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y));
+            const side = line.front ? l?.front : l?.back;
+            if (side !== undefined && side.sector !== null && !side.sector.lines.includes(l)) {
+                side.sector = null;
+            }
+        });
+    }
+
+    /**
+     * Relinks sectors to the lines they were built from and adds them to the map. Sectors still
+     * in the map are relinked as well, as their lines may have been replaced since.
+     * Lines missing from the map are looked up in `stale`, for sectors restored ahead of a rebuild.
+     */
+    #restoreSectors(snapshots, stale = null) {
+        const lineMap = stale === null ? this.#lineMap : { get: key => this.#lineMap.get(key) ?? stale.get(key) };
+        snapshots.forEach(({ sector, lines }) => {
+            const complete = lines.every(line =>
+                lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y)) !== undefined);
+            if (!complete) {
+                return;
+            }
+            if (this.#sectors.includes(sector)) {
+                this.#removeSector(sector);
+            }
+            sector.relink(lineMap, lines);
+            this.#addSector(sector);
+        });
+        this.#modifiedLines.clear();
+    }
+
+    #removeSectors(snapshots) {
+        snapshots.forEach(({ sector }) => {
+            if (this.#sectors.includes(sector)) {
+                this.#removeSector(sector);
+            }
+        });
+    }
+
+    #snapshotSides(lines) {
+        return [...lines].map(line => ({
+            key: DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y),
+            front: line.front.sector,
+            back: line.back.sector,
+            twoSided: line.flags.twoSided,
+        }));
+    }
+
+    #restoreSides(snapshots) {
+        snapshots.forEach(({ key, front, back, twoSided }) => {
+            const line = this.#lineMap.get(key);
+            if (line !== undefined) {
+                line.front.sector = front;
+                line.back.sector = back;
+                line.flags.twoSided = twoSided;
+            }
+        });
+    }
+
+    /**
+     * Records an action ahead of the first line edit since the last rebuild, which relinks the
+     * sectors bounded by the edited lines once the edits are undone. The rebuild may be deferred
+     * to a later history step, so its own step cannot relink them to the lines from before the edits.
+     */
+    #anchorRebuild() {
+        if (this.#pendingRebuild !== null) {
+            return;
+        }
+
+        const pending = { removed: null };
+        this.#pendingRebuild = pending;
+        this.#history.record(() => {
+            this.#pendingRebuild = pending;
+        }, () => {
+            // Without a rebuild, the sectors are still in the map but bounded by the edited lines
+            let removed = pending.removed;
+            if (removed === null) {
+                const sectors = new Set();
+                this.#modifiedLines.forEach(line => {
+                    [line.front.sector, line.back.sector].forEach(sector => {
+                        if (sector !== null && sector.lines.includes(line)) {
+                            sectors.add(sector);
+                        }
+                    });
+                });
+                removed = [...sectors].map(sector => ({ sector, lines: sector.serialize().lines }));
+            }
+            this.#restoreSectors(removed);
+            this.#pendingRebuild = null;
+        });
+    }
+
     #addThing(thing) {
         this.#history.do(() => {
             const i = this.#things.indexOf(thing);
             if (i === -1) {
                 this.#things.push(thing);
+                this.#registerId(thing);
                 this.#addToSpatialGrid(thing);
 
                 this.#emitChange('thingadded', { thing });
@@ -241,6 +410,7 @@ export default class DoomMap extends EventTarget {
             if (i > -1) {
                 this.#removeFromSpatialGrid(thing);
                 this.#things.splice(i, 1);
+                this.#unregisterId(thing);
 
                 this.#emitChange('thingremoved', { thing });
             }
@@ -258,6 +428,7 @@ export default class DoomMap extends EventTarget {
             if (i > -1) {
                 this.#removeFromSpatialGrid(thing);
                 this.#things.splice(i, 1);
+                this.#unregisterId(thing);
 
                 this.#emitChange('thingremoved', { thing });
             }
@@ -265,6 +436,7 @@ export default class DoomMap extends EventTarget {
             const i = this.#things.indexOf(thing);
             if (i === -1) {
                 this.#things.push(thing);
+                this.#registerId(thing);
                 this.#addToSpatialGrid(thing);
 
                 this.#emitChange('thingadded', { thing });
@@ -272,6 +444,51 @@ export default class DoomMap extends EventTarget {
         });
     }
 
+    /**
+     * Gives a geometry an ID unique within this map. An existing ID is kept unless another
+     * geometry in the map holds it, so clones replacing their original take over its ID.
+     */
+    #registerId(geometry) {
+        const owner = this.#idMap.get(geometry.id);
+        if (geometry.id === null || (owner !== undefined && owner !== geometry)) {
+            geometry.id = this.#nextId++;
+        }
+        this.#nextId = Math.max(this.#nextId, geometry.id + 1);
+        this.#idMap.set(geometry.id, geometry);
+    }
+
+    #unregisterId(geometry) {
+        if (this.#idMap.get(geometry.id) === geometry) {
+            this.#idMap.delete(geometry.id);
+        }
+    }
+
+    #setVertexId(vertex, id) {
+        const key = DoomMap.createVertexKey(vertex.x, vertex.y);
+        const previous = vertex.id;
+
+        const setId = value => {
+            const v = this.#vertexMap.get(key);
+            if (v !== undefined) {
+                this.#unregisterId(v);
+                v.id = value;
+                this.#registerId(v);
+            }
+        };
+
+        this.#history.do(() => {
+            setId(id);
+        }, () => {
+            setId(previous);
+        });
+    }
+
+    #setThingPosition(thing, x, y) {
+        this.#removeFromSpatialGrid(thing);
+        thing.setPosition(x, y);
+        this.#addToSpatialGrid(thing);
+    }
+
     ////////////////////////////////////////////////////////////////////////////
     // Sector construction
 
@@ -281,123 +498,126 @@ export default class DoomMap extends EventTarget {
             return;
         }
 
-        // Take all modified lines plus their 1-ring neighbors (lines that share a vertex)
-        const localLines = new Set();
-        const localVertices = new Set();
-        this.#modifiedLines.forEach(line => {
-            localLines.add(line);
-            localVertices.add(line.v0);
-            localVertices.add(line.v1);
-        });
-        localVertices.forEach(vertex => {
-            vertex.lines.forEach(line => {
-                localLines.add(line);
-            });
-        });
-
-        // Any sector touching the working set is invalid
-        // 1. Remember each line's previous sector on both sides as templates for new sectors
-        // 2) Collect the set of all such sectors so we can remove them after rebuilding
-        const invalidated = new Set();
-        localLines.forEach(line => {
-            if (line.front.sector !== null) {
-                line.front.sectorOld = line.front.sector;
-                invalidated.add(line.front.sector);
-            } else {
-                line.front.sectorOld = null;
-            }
-            if (line.back.sector !== null) {
-                line.back.sectorOld = line.back.sector;
-                invalidated.add(line.back.sector);
-            } else {
-                line.back.sectorOld = null;
-            }
+        this.#history.group('Rebuild sectors', () => {
+            this.#rebuildSectors();
         });
+    }
 
-        // Remove invalidated sectors
-        invalidated.forEach(sector => {
-            this.#removeSector(sector);
-        });
+    #rebuildSectors() {
+        const isLive = line => this.#lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y)) === line;
 
-        // Convert each undirected line into two directed half-edges (v0->v1 and v1->v0)
+        // Convert each undirected line into two directed half-edges (v0->v1 and v1->v0), on demand
         // Walk these directed edges in CCW order so the face stays on the left
         // Edge record: { from, to, line, forward, visited }
-        const edges = [];
-        // Vertex -> Edge[] (sorted by polar angle around the vertex)
-        const outgoing = new Map();
+        const halfEdges = new Map();
+        const edgesOf = line => {
+            let pair = halfEdges.get(line);
+            if (pair === undefined) {
+                pair = [
+                    { from: line.v0, to: line.v1, line, forward: true,  visited: false },
+                    { from: line.v1, to: line.v0, line, forward: false, visited: false },
+                ];
+                halfEdges.set(line, pair);
+            }
+            return pair;
+        };
+        const sideOf = edge => edge.forward ? edge.line.front : edge.line.back;
 
-        const pushOutgoing = (vertex, edge) => {
-            let array = outgoing.get(vertex);
+        // Vertex key -> Edge[] (sorted by absolute angle around the vertex to pick the next-left edge)
+        const outgoing = new Map();
+        const outgoingOf = vertex => {
+            const key = DoomMap.createVertexKey(vertex.x, vertex.y);
+            let array = outgoing.get(key);
             if (array === undefined) {
-                array = [];
-                outgoing.set(vertex, array);
+                const lines = this.#vertexMap.get(key)?.lines ?? [];
+                array = lines.map(line => edgesOf(line)[line.v0.x === vertex.x && line.v0.y === vertex.y ? 0 : 1]);
+                array.sort((a, b) => {
+                    const aa = Utility.angleTo(vertex.x, vertex.y, a.to.x, a.to.y);
+                    const bb = Utility.angleTo(vertex.x, vertex.y, b.to.x, b.to.y);
+                    return aa - bb;
+                });
+                outgoing.set(key, array);
             }
-            array.push(edge);
+            return array;
         };
 
-        localLines.forEach(line => {
-            const ef = { from: line.v0, to: line.v1, line, forward: true,  visited: false };
-            const er = { from: line.v1, to: line.v0, line, forward: false, visited: false };
-            edges.push(ef, er);
-            pushOutgoing(line.v0, ef);
-            pushOutgoing(line.v1, er);
-        });
-
-        // Sort outgoing edges at each vertex by absolute angle to pick the next-left edge
-        outgoing.forEach((array, vertex) => {
-            array.sort((a, b) => {
-                const aa = Utility.angleTo(vertex.x, vertex.y, a.to.x, a.to.y);
-                const bb = Utility.angleTo(vertex.x, vertex.y, b.to.x, b.to.y);
-                return aa - bb;
+        // Only the faces through the modified lines can have changed, so trace loops from their
+        // half-edges. Any sector bounded by a traced half-edge is invalid and its remaining
+        // half-edges are traced as well. Removed lines are no longer in the map but still
+        // invalidate the sectors they bounded
+        const invalidated = new Set();
+        const queue = [];
+        // Sides facing a surrounding sector are inherited, that sector is not bounded here
+        const invalidate = (sector, line) => {
+            if (sector === null || invalidated.has(sector) || !sector.lines.includes(line) || !this.#sectors.includes(sector)) {
+                return;
+            }
+            invalidated.add(sector);
+            sector.lines.forEach(l => {
+                if (!isLive(l)) {
+                    return;
+                }
+                const [ef, er] = edgesOf(l);
+                if (l.front.sector === sector) {
+                    queue.push(ef);
+                }
+                if (l.back.sector === sector) {
+                    queue.push(er);
+                }
             });
+        };
+        this.#modifiedLines.forEach(line => {
+            if (isLive(line)) {
+                queue.push(...edgesOf(line));
+            }
+            invalidate(line.front.sector, line);
+            invalidate(line.back.sector, line);
         });
 
+        // Half-edges whose side is reassigned once the loops are known
+        const traced = new Set();
+        const trace = edge => {
+            edge.visited = true;
+            traced.add(edge);
+            invalidate(sideOf(edge).sector, edge.line);
+        };
+
         // Given an incoming directed edge e: (u->v), stand at v and pick the outgoing edge
-        // that makes the smallest positive CCW turn from the reverse direction (v->u)
+        // that makes the largest CCW turn from the reverse direction (v->u), which is the
+        // sharpest left turn and keeps the face on the left. Turning back is the last resort
         const nextLeft = edge => {
             const pivot = edge.to;
-            const outs = outgoing.get(pivot);
-            if (outs === undefined || outs.length === 0) {
+            const outs = outgoingOf(pivot);
+            if (outs.length === 0) {
                 return null;
             }
 
             const baseAngle = Utility.angleTo(pivot.x, pivot.y, edge.from.x, edge.from.y);
 
             let best = null;
-            let bestDelta = Infinity;
+            let bestDelta = -1;
 
             outs.forEach(candidate => {
                 const candAngle = Utility.angleTo(pivot.x, pivot.y, candidate.to.x, candidate.to.y);
                 // CCW turn size
                 const delta = Utility.angleToCcw(baseAngle, candAngle);
-                if (delta > 0 && delta < bestDelta) {
+                if (delta > bestDelta) {
                     best = candidate;
                     bestDelta = delta;
                 }
             });
 
-            if (best === null) {
-                // Fallback: take the largest delta
-                let maxDelta = -1;
-                outs.forEach(candidate => {
-                    const candAngle = Utility.angleTo(pivot.x, pivot.y, candidate.to.x, candidate.to.y);
-                    const delta = Utility.angleToCcw(baseAngle, candAngle);
-                    if (delta > maxDelta) {
-                        maxDelta = delta;
-                        best = candidate;
-                    }
-                });
-            }
             return best ?? outs[0];
         };
 
-        // Trace CCW loops (left-hand rule). Mark edges visited only once we confirm a valid CCW loop.
-        // Keep only positive-area loops (CCW), which are interior faces
+        // Trace CCW loops (left-hand rule). Every edge of a closed loop is visited, but only
+        // positive-area loops (CCW) are kept, which are interior faces
         const loops = [];
-        edges.forEach(start => {
+        for (const start of queue) {
             if (start.visited) {
                 continue;
             }
+            trace(start);
 
             const loopEdges = [];
             const xy = [];
@@ -431,24 +651,50 @@ export default class DoomMap extends EventTarget {
                 continue;
             }
 
+            loopEdges.forEach(trace);
+
             // Close ring for area test
             xy.push(xy[0], xy[1]);
 
             // Positive area means CCW = interior face
             if (Utility.signedArea2d(xy) > 0) {
-                // Mark edges as consumed by a loop
-                loopEdges.forEach(edge => {
-                    edge.visited = true;
-                });
                 loops.push({ edges: loopEdges, xy });
             }
+        }
+
+        // Remember each traced side's previous sector as a template for new sectors
+        const localLines = new Set();
+        traced.forEach(edge => {
+            const side = sideOf(edge);
+            side.sectorOld = side.sector;
+            localLines.add(edge.line);
+        });
+
+        // Remove invalidated sectors, keeping snapshots so undo and redo can restore them. Their
+        // lines may have been removed by the edits, undoing the rebuild relinks them to those
+        const removed = [...invalidated].map(sector => ({ sector, lines: sector.serialize().lines }));
+        const stale = new Map();
+        invalidated.forEach(sector => {
+            sector.lines.forEach(line => {
+                stale.set(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y), line);
+            });
+        });
+        const modified = [...this.#modifiedLines];
+        const sidesBefore = this.#snapshotSides(localLines);
+        // Sides a line merely inherited from a surrounding sector do not make it two-sided
+        const bounded = (side, line) => side.sector !== null && side.sector.lines.includes(line);
+        const wasTwoSided = new Map([...localLines].map(line => [line, bounded(line.front, line) && bounded(line.back, line)]));
+        // Removed sectors hand their sides back to their parent. Sides on interior loops are taken
+        // over by the new sectors, the others keep facing the sector that surrounds them
+        invalidated.forEach(sector => {
+            this.#removeSector(sector);
         });
 
         // For each interior loop, reconstruct (or clone) a sector and assign it to the
         // left side of each edge in the loop:
         //  - If the edge is "forward" (v0->v1), the left side is the line's FRONT
         //  - If the edge is "reverse" (v1->v0), the left side is the line's BACK
-        loops.forEach(loop => {
+        const added = loops.map(loop => {
             const newLines = loop.edges.map(edge => ({
                 v0: edge.line.v0,
                 v1: edge.line.v1,
@@ -474,11 +720,17 @@ export default class DoomMap extends EventTarget {
             }
 
             // Reconstruct a new sector from the template, or create a blank one
+            this.#clearInheritedSides(newLines);
             const sector = templateSector
                 ? templateSector.clone(this.#lineMap, newLines)
                 : new Sector(this.#lineMap, newLines);
 
             this.#addSector(sector);
+            return { sector, lines: newLines.map(line => ({
+                v0: { x: line.v0.x, y: line.v0.y },
+                v1: { x: line.v1.x, y: line.v1.y },
+                front: line.front,
+            })) };
         });
 
         this.#lines.forEach(line => {
@@ -488,6 +740,39 @@ export default class DoomMap extends EventTarget {
 
         this.#modifiedLines.clear();
 
+        // Lines that gained or lost the sector on one side become two-sided or one-sided. Flags of
+        // lines that kept both sides are left alone, so imported maps export as they were read
+        localLines.forEach(line => {
+            const twoSided = line.front.sector !== null && line.back.sector !== null;
+            if (twoSided !== wasTwoSided.get(line)) {
+                line.flags.twoSided = twoSided;
+            }
+        });
+
+        // Undo returns to the state before the rebuild, with the edited lines awaiting a rebuild
+        // and the old sectors in place. Relinking these to the lines from before the edits is
+        // left to the action recorded ahead of the edits
+        const pending = this.#pendingRebuild;
+        if (pending !== null) {
+            pending.removed = removed;
+        }
+        this.#pendingRebuild = null;
+
+        const sidesAfter = this.#snapshotSides(localLines);
+        this.#history.record(() => {
+            this.#removeSectors(removed);
+            this.#restoreSectors(added);
+            this.#restoreSides(sidesAfter);
+            this.#pendingRebuild = null;
+        }, () => {
+            this.#removeSectors(added);
+            this.#restoreSectors(removed, stale);
+            this.#restoreSides(sidesBefore);
+            this.#modifiedLines = new Set(modified.map(line =>
+                this.#lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y)) ?? line));
+            this.#pendingRebuild = pending;
+        });
+
         this.#emitChange('sectorsrebuilt', { sectors: this.#sectors });
     }
 
@@ -517,6 +802,14 @@ export default class DoomMap extends EventTarget {
                 cell.add(geometry);
             }
         }
+
+        const extents = this.#spatialGridExtents;
+        if (extents !== null) {
+            extents.minX = Math.min(extents.minX, minX);
+            extents.minY = Math.min(extents.minY, minY);
+            extents.maxX = Math.max(extents.maxX, maxX);
+            extents.maxY = Math.max(extents.maxY, maxY);
+        }
     }
 
     #removeFromSpatialGrid(geometry) {
@@ -540,6 +833,7 @@ export default class DoomMap extends EventTarget {
                 cell.delete(geometry);
                 if (cell.size === 0) {
                     column.delete(y);
+                    this.#shrinkSpatialGridExtents(x, y);
                 }
             }
             if (column.size === 0) {
@@ -548,6 +842,129 @@ export default class DoomMap extends EventTarget {
         }
     }
 
+    /**
+     * Invalidates the grid extents if an emptied cell lay on their border.
+     */
+    #shrinkSpatialGridExtents(x, y) {
+        const extents = this.#spatialGridExtents;
+        if (extents !== null && (x === extents.minX || x === extents.maxX || y === extents.minY || y === extents.maxY)) {
+            this.#spatialGridExtents = null;
+        }
+    }
+
+    /**
+     * Returns the range of occupied grid cells, measuring it again after it may have shrunk.
+     */
+    #getSpatialGridExtents() {
+        if (this.#spatialGridExtents === null) {
+            const extents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            this.#spatialGrid.forEach((column, x) => {
+                extents.minX = Math.min(extents.minX, x);
+                extents.maxX = Math.max(extents.maxX, x);
+                column.forEach((cell, y) => {
+                    extents.minY = Math.min(extents.minY, y);
+                    extents.maxY = Math.max(extents.maxY, y);
+                });
+            });
+            this.#spatialGridExtents = extents;
+        }
+        return this.#spatialGridExtents;
+    }
+
+    /**
+     * Walks the spatial grid cells along a ray and reports the lines it crosses, nearest first.
+     * Lines are tested once, in the first cell the ray visits that holds them, but reported
+     * only once the ray has passed the cell their hit lies in.
+     *
+     * @param {number} ox - Ray origin X.
+     * @param {number} oy - Ray origin Y.
+     * @param {number} dx - Normalized ray direction X.
+     * @param {number} dy - Normalized ray direction Y.
+     * @param {number} maxDistance - Distance after which the ray stops.
+     * @param {function({line: Line, x: number, y: number, distance: number, isFront: boolean}): boolean} func
+     *        Called for each hit, return false to stop.
+     */
+    #traceRay(ox, oy, dx, dy, maxDistance, func) {
+        const cellSize = DoomMap.#SPATIAL_GRID_CELL_SIZE;
+
+        // Distance along the ray between vertical and horizontal cell borders, and to the first ones
+        let cellX = Math.floor(ox / cellSize);
+        let cellY = Math.floor(oy / cellSize);
+        const stepX = dx > 0 ? 1 : -1;
+        const stepY = dy > 0 ? 1 : -1;
+        const deltaX = dx === 0 ? Infinity : cellSize / Math.abs(dx);
+        const deltaY = dy === 0 ? Infinity : cellSize / Math.abs(dy);
+        let nextX = dx === 0 ? Infinity : ((dx > 0 ? cellX + 1 : cellX) * cellSize - ox) / dx;
+        let nextY = dy === 0 ? Infinity : ((dy > 0 ? cellY + 1 : cellY) * cellSize - oy) / dy;
+
+        // Without geometry ahead, the walk ends at the far end of the grid
+        const { minX: firstX, minY: firstY, maxX: lastX, maxY: lastY } = this.#getSpatialGridExtents();
+
+        const tested = new Set();
+        const pending = [];
+        while (true) {
+            const exit = Math.min(nextX, nextY, maxDistance);
+
+            const cell = this.#spatialGrid.get(cellX)?.get(cellY);
+            cell?.forEach(line => {
+                if (!(line instanceof Line) || tested.has(line)) {
+                    return;
+                }
+                tested.add(line);
+
+                const ex = line.v1.x - line.v0.x;
+                const ey = line.v1.y - line.v0.y;
+                const denominator = dx * ey - dy * ex;
+                if (denominator === 0) {
+                    return;
+                }
+
+                const wx = line.v0.x - ox;
+                const wy = line.v0.y - oy;
+                const t = (wx * ey - wy * ex) / denominator;
+                const s = (wx * dy - wy * dx) / denominator;
+                if (t < 0 || t > maxDistance || s < 0 || s > 1) {
+                    return;
+                }
+
+                // The front side is on the left of v0 -> v1
+                pending.push({ line, x: ox + dx * t, y: oy + dy * t, distance: t, isFront: ey * wx - ex * wy > 0 });
+            });
+
+            // Report the hits the ray has passed, nearest first
+            pending.sort((p, q) => q.distance - p.distance);
+            while (pending.length > 0 && pending[pending.length - 1].distance <= exit) {
+                if (func(pending.pop()) === false) {
+                    return;
+                }
+            }
+
+            if (exit >= maxDistance) {
+                break;
+            }
+
+            if (nextX < nextY) {
+                cellX += stepX;
+                nextX += deltaX;
+            } else {
+                cellY += stepY;
+                nextY += deltaY;
+            }
+
+            // Stop once the ray has left the grid for good
+            if ((stepX > 0 ? cellX > lastX : cellX < firstX) || (stepY > 0 ? cellY > lastY : cellY < firstY)) {
+                break;
+            }
+        }
+
+        pending.sort((p, q) => q.distance - p.distance);
+        while (pending.length > 0) {
+            if (func(pending.pop()) === false) {
+                return;
+            }
+        }
+    }
+
     ////////////////////////////////////////////////////////////////////////////
     // Math helpers
 
@@ -589,6 +1006,14 @@ export default class DoomMap extends EventTarget {
     ////////////////////////////////////////////////////////////////////////////
     // Properties
 
+    /**
+     * Returns the line stored under a key, or the given line if there is none. Lines added in
+     * the same undo step as a property change are recreated on redo, so changes look them up by key.
+     */
+    #currentLine(key, line) {
+        return this.#lineMap.get(key) ?? line;
+    }
+
     setSideProperty(line, property, value, isFront) {
         const side = isFront ? line.front : line.back;
         if (!(property in side) || typeof value !== typeof side[property] ||
@@ -601,15 +1026,15 @@ export default class DoomMap extends EventTarget {
             return;
         }
 
-        this.#history.do(() => {
-            side[property] = value;
+        const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
+        const apply = v => {
+            const l = this.#currentLine(key, line);
+            (isFront ? l.front : l.back)[property] = v;
 
-            this.#emitChange('sidechanged', { line, property, isFront, value });
-        }, () => {
-            side[property] = last;
+            this.#emitChange('sidechanged', { line: l, property, isFront, value: v });
+        };
 
-            this.#emitChange('sidechanged', { line, property, isFront, value: last });
-        }, line, (isFront ? 'front' : 'back') + ':' + property);
+        this.#history.do(() => apply(value), () => apply(last), line, (isFront ? 'front' : 'back') + ':' + property);
     }
 
 
@@ -624,15 +1049,87 @@ export default class DoomMap extends EventTarget {
             return;
         }
 
+        const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
+        const apply = v => {
+            const l = this.#currentLine(key, line);
+            l.flags[property] = v;
+
+            this.#emitChange('flagschanged', { line: l, property, value: v });
+        };
+
+        this.#history.do(() => apply(value), () => apply(last), line, 'flag:' + property);
+    }
+
+    setLineProperty(line, property, value) {
+        const isArgs = property === 'args';
+        const valid = isArgs
+            ? Array.isArray(value) && value.length === line.args.length && value.every(arg => Number.isInteger(arg))
+            : DoomMap.#LINE_PROPERTIES.includes(property) && Number.isInteger(value);
+        if (!valid) {
+            throw new Error(`Invalid line property "${property}"`);
+        }
+
+        const last = isArgs ? [...line.args] : line[property];
+        if (isArgs ? last.every((arg, i) => arg === value[i]) : last === value) {
+            return;
+        }
+
+        // Arrays are copied so later changes by the caller do not leak into history
+        const next = isArgs ? [...value] : value;
+        const copy = v => isArgs ? [...v] : v;
+
+        const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
+        const apply = v => {
+            const l = this.#currentLine(key, line);
+            l[property] = copy(v);
+
+            this.#emitChange('linechanged', { line: l, property, value: copy(v) });
+        };
+
+        this.#history.do(() => apply(next), () => apply(last), line, 'line:' + property);
+    }
+
+    setThingFlag(thing, property, value) {
+        if (!(property in thing.flags) || typeof value !== typeof thing.flags[property] ||
+            !(typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string')) {
+            throw new Error(`Invalid thing flags property "${property}"`);
+        }
+
+        const last = thing.flags[property];
+        if (last === value) {
+            return;
+        }
+
+        this.#history.do(() => {
+            thing.flags[property] = value;
+
+            this.#emitChange('thingflagschanged', { thing, property, value });
+        }, () => {
+            thing.flags[property] = last;
+
+            this.#emitChange('thingflagschanged', { thing, property, value: last });
+        }, thing, 'flag:' + property);
+    }
+
+    setThingProperty(thing, property, value) {
+        if (!DoomMap.#THING_PROPERTIES.includes(property) || typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Invalid thing property "${property}"`);
+        }
+
+        const last = thing[property];
+        if (last === value) {
+            return;
+        }
+
         this.#history.do(() => {
-            line.flags[property] = value;
+            thing[property] = value;
 
-            this.#emitChange('flagschanged', { line, property, value });
+            this.#emitChange('thingchanged', { thing, property, value });
         }, () => {
-            line.flags[property] = last;
+            thing[property] = last;
 
-            this.#emitChange('flagschanged', { line, property, value: last });
-        }, line, 'flag:' + property);
+            this.#emitChange('thingchanged', { thing, property, value: last });
+        }, thing, property);
     }
 
     setSectorProperty(sector, property, value) {
@@ -702,6 +1199,12 @@ export default class DoomMap extends EventTarget {
             return;
         }
 
+        // Cells hold geometry of all types, only that of the iterated array is reported
+        const Type = array[0]?.constructor ?? null;
+        if (Type === null) {
+            return;
+        }
+
         const grid = this.#spatialGrid;
         const cellSize = DoomMap.#SPATIAL_GRID_CELL_SIZE;
 
@@ -725,7 +1228,7 @@ export default class DoomMap extends EventTarget {
                 }
 
                 for (const geometry of cell) {
-                    if (visited.has(geometry)) {
+                    if (visited.has(geometry) || !(geometry instanceof Type)) {
                         continue;
                     }
                     visited.add(geometry);
@@ -762,6 +1265,10 @@ export default class DoomMap extends EventTarget {
     // Manipulation API
 
     addVertex(x, y, skipRebuild = false) {
+        return this.#history.group('Add vertex', () => this.#addVertexAt(x, y, skipRebuild));
+    }
+
+    #addVertexAt(x, y, skipRebuild) {
         const vx = Math.round(x);
         const vy = Math.round(y);
 
@@ -799,10 +1306,10 @@ export default class DoomMap extends EventTarget {
             const lA = line.clone(this.#vertexMap, line.v0, vertex);
             const lB = line.clone(this.#vertexMap, vertex, line.v1);
 
+            this.#removeLine(line);
+
             this.#addLine(lA);
             this.#addLine(lB);
-
-            this.#removeLine(line);
         });
 
         if (!skipRebuild) {
@@ -812,7 +1319,28 @@ export default class DoomMap extends EventTarget {
         return vertex;
     }
 
-    removeVertex(x, y, skipRebuild = false) {
+    /**
+     * Splits a line in two at a point that need not lie exactly on it, bending the line
+     * through a new vertex at that point. Sectors are not rebuilt.
+     */
+    #splitLine(line, x, y) {
+        const vertex = new Vertex(x, y);
+        this.#addVertex(vertex);
+
+        const lA = line.clone(this.#vertexMap, line.v0, vertex);
+        const lB = line.clone(this.#vertexMap, vertex, line.v1);
+
+        this.#removeLine(line);
+
+        this.#addLine(lA);
+        this.#addLine(lB);
+    }
+
+    removeVertex(x, y, skipRebuild = false) {
+        return this.#history.group('Remove vertex', () => this.#removeVertexAt(x, y, skipRebuild));
+    }
+
+    #removeVertexAt(x, y, skipRebuild) {
         const vx = Math.round(x);
         const vy = Math.round(y);
 
@@ -837,6 +1365,10 @@ export default class DoomMap extends EventTarget {
     }
 
     moveVertex(fromX, fromY, toX, toY, skipRebuild = false) {
+        return this.#history.group('Move vertex', () => this.#moveVertexTo(fromX, fromY, toX, toY, skipRebuild));
+    }
+
+    #moveVertexTo(fromX, fromY, toX, toY, skipRebuild) {
         const fx = Math.round(fromX);
         const fy = Math.round(fromY);
         const tx = Math.round(toX);
@@ -854,7 +1386,8 @@ export default class DoomMap extends EventTarget {
         }
 
         let newVertex = this.#vertexMap.get(DoomMap.createVertexKey(tx, ty));
-        if (newVertex === undefined) {
+        const created = newVertex === undefined;
+        if (created) {
             newVertex = this.addVertex(tx, ty, true);
         }
 
@@ -881,13 +1414,18 @@ export default class DoomMap extends EventTarget {
                 oldLine.v1 === oldVertex ? newVertex : null
             );
 
-            this.#addLine(newLine);
-
             this.#removeLine(oldLine);
+
+            this.#addLine(newLine);
         });
 
         this.#removeVertex(oldVertex);
 
+        // The moved vertex keeps its identity
+        if (created) {
+            this.#setVertexId(newVertex, oldVertex.id);
+        }
+
         if (!skipRebuild) {
             this.rebuildSectors();
         }
@@ -896,6 +1434,10 @@ export default class DoomMap extends EventTarget {
     }
 
     addLine(fromX, fromY, toX, toY, skipRebuild = false) {
+        return this.#history.group('Add line', () => this.#addLineBetween(fromX, fromY, toX, toY, skipRebuild));
+    }
+
+    #addLineBetween(fromX, fromY, toX, toY, skipRebuild) {
         const epsilon = 1e-12;
 
         // Round inputs to integer grid
@@ -1089,6 +1631,11 @@ export default class DoomMap extends EventTarget {
         // Merge helper: given a line and a shared vertex, try to merge it with a collinear neighbor
         const otherOf = (line, vertex) => line.v0 === vertex ? line.v1 : line.v0;
         const tryMergeAtVertex = (line, sharedVertex) => {
+            // A vertex joining more lines is a junction the merged line would pass through
+            if (sharedVertex.lines.length !== 2) {
+                return line;
+            }
+
             for (const candidate of sharedVertex.lines.slice()) {
                 if (candidate === line) {
                     continue;
@@ -1103,6 +1650,11 @@ export default class DoomMap extends EventTarget {
                     continue;
                 }
 
+                // Merging would drop the action of one of the lines
+                if (!line.hasSameAction(candidate)) {
+                    continue;
+                }
+
                 // Check that replacing the two segments with (a,c) won't cross other geometry
                 const ignore = new Set([line, candidate]);
 
@@ -1130,7 +1682,7 @@ export default class DoomMap extends EventTarget {
                 const merged = base.clone(
                     this.#vertexMap,
                     (base.v0 === b ? a : null),
-                    (base.v1 === b ? c : null)
+                    (base.v1 === b ? a : null)
                 );
 
                 this.#addLine(merged);
@@ -1176,6 +1728,10 @@ export default class DoomMap extends EventTarget {
     }
 
     removeLine(fromX, fromY, toX, toY, skipRebuild = false) {
+        return this.#history.group('Remove line', () => this.#removeLineBetween(fromX, fromY, toX, toY, skipRebuild));
+    }
+
+    #removeLineBetween(fromX, fromY, toX, toY, skipRebuild) {
         const x0 = Math.round(fromX);
         const y0 = Math.round(fromY);
         const x1 = Math.round(toX);
@@ -1213,20 +1769,176 @@ export default class DoomMap extends EventTarget {
 
     /**
      * Returns the sector that contains the point (x, y), if any.
+     * Only sectors in the spatial grid cell of the point are tested. As the area of a sector
+     * excludes its children, the innermost sector containing the point is found.
      *
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @returns {?Sector} The containing sector, or null if none found.
      */
     getSector(x, y) {
-        const p = { x: Math.round(x), y: Math.round(y) };
+        const p = { x, y };
+
+        let result = null;
+        this.iterateSectors(sector => {
+            if (sector.containsPoint(x, y)) {
+                result = sector;
+                return false;
+            }
+        }, p, p);
+        return result;
+    }
 
-        for (const sector of this.#sectors) {
-            if (sector.isInside(p, p)) {
-                return sector;
+    /**
+     * Finds the geometry nearest to a point, for hit-testing in editors.
+     * Only geometry in the spatial grid cells within the radius is tested.
+     *
+     * Vertices and things are measured from their position and lines from their closest point.
+     * Sectors have no distance, the sector containing the point is only picked if no other
+     * geometry of the requested types is within the radius.
+     *
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @param {number} radius - Maximum distance to the picked geometry.
+     * @param {string[]} [types] - Geometry types to pick from: "vertex", "line", "sector" and "thing".
+     * @returns {?{geometry: (Vertex|Line|Sector|Thing), distance: number, isFront: ?boolean}}
+     *          The picked geometry, its distance, and for lines whether the point is on the front side.
+     */
+    pick(x, y, radius, types = ['vertex', 'line', 'sector', 'thing']) {
+        const min = { x: x - radius, y: y - radius };
+        const max = { x: x + radius, y: y + radius };
+
+        let result = null;
+        const consider = (geometry, distance, isFront = null) => {
+            if (distance <= radius && (result === null || distance < result.distance)) {
+                result = { geometry, distance, isFront };
             }
+        };
+
+        if (types.includes('vertex')) {
+            this.iterateVertices(vertex => {
+                consider(vertex, Utility.distanceTo(x, y, vertex.x, vertex.y));
+            }, min, max);
+        }
+
+        if (types.includes('thing')) {
+            this.iterateThings(thing => {
+                consider(thing, Utility.distanceTo(x, y, thing.x, thing.y));
+            }, min, max);
+        }
+
+        if (types.includes('line')) {
+            this.iterateLines(line => {
+                const dx = line.v1.x - line.v0.x;
+                const dy = line.v1.y - line.v0.y;
+                const t = Math.max(0, Math.min(1, ((x - line.v0.x) * dx + (y - line.v0.y) * dy) / (dx * dx + dy * dy)));
+                const distance = Utility.distanceTo(x, y, line.v0.x + t * dx, line.v0.y + t * dy);
+
+                // The front side is on the left of v0 -> v1
+                consider(line, distance, dx * (y - line.v0.y) - dy * (x - line.v0.x) >= 0);
+            }, min, max);
         }
-        return null;
+
+        if (result === null && types.includes('sector')) {
+            const sector = this.getSector(x, y);
+            if (sector !== null) {
+                result = { geometry: sector, distance: 0, isFront: null };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Casts a ray and returns the first line it hits.
+     *
+     * @param {{x:number, y:number}} origin - Start point of the ray.
+     * @param {{x:number, y:number}} direction - Direction of the ray, need not be normalized.
+     * @param {number} [maxDistance=Infinity] - Distance after which the ray stops.
+     * @returns {?{line: Line, x: number, y: number, distance: number, isFront: boolean}}
+     *          The line hit, the hit point, its distance and whether the front side was hit.
+     * @throws {Error} If the direction has no length.
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        const length = Math.hypot(direction.x, direction.y);
+        if (length === 0) {
+            throw new Error('Ray direction must not be zero');
+        }
+
+        let result = null;
+        this.#traceRay(origin.x, origin.y, direction.x / length, direction.y / length, maxDistance, hit => {
+            result = hit;
+            return false;
+        });
+        return result;
+    }
+
+    /**
+     * Checks whether a point can be seen from another, the way the game checks whether monsters
+     * see their target. Sight is blocked by one-sided lines, closed doors (lines whose sectors
+     * leave no opening between floor and ceiling), and by lower and upper walls that the line
+     * between the eyes passes below or above.
+     *
+     * @param {{x:number, y:number, z:?number}} a - Eye position. Without Z, the eye is `eyeHeight`
+     *        above the floor of the sector the point is in.
+     * @param {{x:number, y:number, z:?number}} b - Target position, likewise.
+     * @param {number} [eyeHeight=41] - Eye height above the floor.
+     * @returns {boolean} True if nothing blocks the line of sight, false also if a point is outside the map.
+     */
+    hasLineOfSight(a, b, eyeHeight = 41) {
+        const eyeZ = point => {
+            if (point.z !== undefined && point.z !== null) {
+                return point.z;
+            }
+            const sector = this.getSector(point.x, point.y);
+            return sector === null ? null : sector.properties.floorHeight + eyeHeight;
+        };
+
+        const za = eyeZ(a);
+        const zb = eyeZ(b);
+        if (za === null || zb === null) {
+            return false;
+        }
+
+        const distance = Utility.distanceTo(a.x, a.y, b.x, b.y);
+        if (distance === 0) {
+            return true;
+        }
+
+        let visible = true;
+        this.#traceRay(a.x, a.y, (b.x - a.x) / distance, (b.y - a.y) / distance, distance, hit => {
+            if (hit.distance >= distance) {
+                return false;
+            }
+
+            const front = hit.line.front.sector;
+            const back = hit.line.back.sector;
+            if (front === null || back === null) {
+                visible = false;
+                return false;
+            }
+
+            const bottom = Math.max(front.properties.floorHeight, back.properties.floorHeight);
+            const top = Math.min(front.properties.ceilingHeight, back.properties.ceilingHeight);
+            const z = za + (zb - za) * hit.distance / distance;
+            if (bottom >= top || z < bottom || z > top) {
+                visible = false;
+                return false;
+            }
+            return true;
+        });
+        return visible;
+    }
+
+    /**
+     * Returns the vertex, line, sector or thing with the given stable ID, if it is in the map.
+     * IDs survive sector rebuilds, vertex moves, undo and redo, and serialization.
+     *
+     * @param {number} id - Geometry ID.
+     * @returns {?(Vertex|Line|Sector|Thing)} The geometry, or null if none has this ID.
+     */
+    getById(id) {
+        return this.#idMap.get(id) ?? null;
     }
 
     /**
@@ -1259,6 +1971,46 @@ export default class DoomMap extends EventTarget {
         return true;
     }
 
+    /**
+     * Moves a Thing to a new position. Consecutive moves of the same Thing,
+     * such as while dragging, are coalesced into a single undo step.
+     *
+     * @param {Thing} thing - The Thing instance to move.
+     * @param {number} x - New X coordinate in map units.
+     * @param {number} y - New Y coordinate in map units.
+     */
+    moveThing(thing, x, y) {
+        if (!this.#things.includes(thing)) {
+            throw new Error('Attempted to move non-existing thing');
+        }
+
+        const lastX = thing.x;
+        const lastY = thing.y;
+        if (lastX === x && lastY === y) {
+            return;
+        }
+
+        this.#history.do(() => {
+            this.#setThingPosition(thing, x, y);
+
+            this.#emitChange('thingchanged', { thing, property: 'position', value: { x, y } });
+        }, () => {
+            this.#setThingPosition(thing, lastX, lastY);
+
+            this.#emitChange('thingchanged', { thing, property: 'position', value: { x: lastX, y: lastY } });
+        }, thing, 'position');
+    }
+
+    /**
+     * Rotates a Thing to face a new angle. Consecutive rotations are coalesced like moves.
+     *
+     * @param {Thing} thing - The Thing instance to rotate.
+     * @param {number} angle - Facing angle in degrees (0 = east, 90 = north), normalized to [0, 360).
+     */
+    rotateThing(thing, angle) {
+        this.setThingProperty(thing, 'angle', ((angle % 360) + 360) % 360);
+    }
+
     /**
      * Pastes the contents of another DoomMap into this one,
      * applying translation, scaling, and rotation.
@@ -1273,6 +2025,10 @@ export default class DoomMap extends EventTarget {
      * @param {number} [rotation=0] - Rotation in radians.
      */
     pasteMap(submap, offsetX = 0, offsetY = 0, scaleX = 1, scaleY = 1, pivotX = 0, pivotY = 0, rotation = 0) {
+        this.#history.group('Paste map', () => this.#pasteSubmap(submap, offsetX, offsetY, scaleX, scaleY, pivotX, pivotY, rotation));
+    }
+
+    #pasteSubmap(submap, offsetX, offsetY, scaleX, scaleY, pivotX, pivotY, rotation) {
         const vertexMap = new Map();
 
         const cos = Math.cos(rotation);
@@ -1341,6 +2097,813 @@ export default class DoomMap extends EventTarget {
         this.rebuildSectors();
     }
 
+    /**
+     * Splits a sector along a line drawn across it. Only the parts of the line inside the
+     * sector are added, from boundary to boundary, so the line may start and end outside.
+     * Both halves keep the properties of the original sector.
+     *
+     * @param {Sector} sector - The sector to split.
+     * @param {number} x0 - Start X coordinate of the drawn line.
+     * @param {number} y0 - Start Y coordinate of the drawn line.
+     * @param {number} x1 - End X coordinate of the drawn line.
+     * @param {number} y1 - End Y coordinate of the drawn line.
+     * @returns {Sector[]} The sectors on either side of the added lines.
+     * @throws {Error} If the sector is not in this map, or the line does not cross or split it.
+     */
+    splitSector(sector, x0, y0, x1, y1) {
+        if (!this.#sectors.includes(sector)) {
+            throw new Error('Attempted to split non-existing sector');
+        }
+
+        // Where the drawn line meets the boundary of the sector, including the boundaries of its children
+        const boundary = [...sector.lines, ...sector.children.flatMap(child => child.lines)];
+        const rx = x1 - x0;
+        const ry = y1 - y0;
+        const crossings = [];
+        boundary.forEach(line => {
+            const sx = line.v1.x - line.v0.x;
+            const sy = line.v1.y - line.v0.y;
+            const d = rx * sy - ry * sx;
+            if (d === 0) {
+                return;
+            }
+            const t = ((line.v0.x - x0) * sy - (line.v0.y - y0) * sx) / d;
+            const u = ((line.v0.x - x0) * ry - (line.v0.y - y0) * rx) / d;
+            if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+                crossings.push({ t, line });
+            }
+        });
+        crossings.sort((a, b) => a.t - b.t);
+
+        // Pieces between consecutive crossings that run through the sector, not along its boundary
+        const pieces = [];
+        for (let i = 0; i < crossings.length - 1; i++) {
+            const t0 = crossings[i].t;
+            const t1 = crossings[i + 1].t;
+            const mx = x0 + rx * (t0 + t1) / 2;
+            const my = y0 + ry * (t0 + t1) / 2;
+            const onBoundary = boundary.some(line =>
+                Utility.orientation(line.v0.x, line.v0.y, line.v1.x, line.v1.y, mx, my) === 0 &&
+                Utility.onSegment(line.v0.x, line.v0.y, mx, my, line.v1.x, line.v1.y));
+            if (t1 > t0 && !onBoundary && sector.containsPoint(mx, my)) {
+                pieces.push([crossings[i], crossings[i + 1]]);
+            }
+        }
+        if (pieces.length === 0) {
+            throw new Error('Line does not cross the sector');
+        }
+
+        return this.#history.group('Split sector', () => {
+            // Crossings are rounded to the grid, which moves them off slanted walls. The walls
+            // are split at the rounded points first, so the new lines end on the boundary
+            pieces.flat().forEach(({ t, line }) => {
+                const x = Math.round(x0 + rx * t);
+                const y = Math.round(y0 + ry * t);
+                const current = this.#lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y));
+                if (current !== undefined && !this.#vertexMap.has(DoomMap.createVertexKey(x, y))) {
+                    this.#splitLine(current, x, y);
+                }
+            });
+
+            const created = [];
+            pieces.forEach(([a, b]) => {
+                const lines = this.addLine(x0 + rx * a.t, y0 + ry * a.t, x0 + rx * b.t, y0 + ry * b.t, true);
+                if (lines) {
+                    created.push(...lines);
+                }
+            });
+
+            // Both sides of the new lines take the original sector as template
+            created.forEach(line => {
+                line.front.sectorOverride = sector;
+                line.back.sectorOverride = sector;
+            });
+
+            this.rebuildSectors();
+
+            if (!created.every(line => line.front.sector !== null && line.back.sector !== null &&
+                line.front.sector !== line.back.sector)) {
+                throw new Error('Line does not split the sector');
+            }
+
+            const halves = new Set();
+            created.forEach(line => {
+                [line.front.sector, line.back.sector].forEach(side => {
+                    if (side !== null) {
+                        halves.add(side);
+                    }
+                });
+            });
+            return [...halves];
+        });
+    }
+
+    /**
+     * Joins adjacent sectors into one by removing the two-sided lines between them.
+     * The joined sector takes the properties of the kept sector.
+     *
+     * @param {Sector[]} sectors - The sectors to join.
+     * @param {Sector} [keep] - The sector whose properties survive, by default the first one.
+     * @returns {Sector[]} The sectors now covering the joined area.
+     * @throws {Error} If a sector is not in this map, the kept sector is not among the sectors,
+     *                 or the sectors share no line.
+     */
+    joinSectors(sectors, keep = sectors[0]) {
+        if (sectors.some(sector => !this.#sectors.includes(sector))) {
+            throw new Error('Attempted to join non-existing sector');
+        }
+        if (!sectors.includes(keep)) {
+            throw new Error('Kept sector is not one of the joined sectors');
+        }
+
+        const joined = new Set(sectors);
+        const shared = this.#lines.filter(line => line.front.sector !== line.back.sector &&
+            joined.has(line.front.sector) && joined.has(line.back.sector));
+        if (shared.length === 0) {
+            throw new Error('Sectors do not share any line');
+        }
+
+        return this.#history.group('Join sectors', () => {
+            shared.forEach(line => {
+                this.removeLine(line.v0.x, line.v0.y, line.v1.x, line.v1.y, true);
+            });
+
+            // Every remaining side of the joined sectors takes the kept sector as template
+            const sides = [];
+            this.#lines.forEach(line => {
+                [line.front, line.back].forEach(side => {
+                    if (joined.has(side.sector) && side.sector.lines.includes(line)) {
+                        side.sectorOverride = keep;
+                        sides.push(side);
+                    }
+                });
+            });
+
+            this.rebuildSectors();
+
+            const result = new Set();
+            sides.forEach(side => {
+                if (side.sector !== null) {
+                    result.add(side.sector);
+                }
+            });
+            return [...result];
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Shapes
+
+    /**
+     * Draws a rectangle between two opposite corners as a closed sector.
+     *
+     * @param {number} x0 - X coordinate of one corner.
+     * @param {number} y0 - Y coordinate of one corner.
+     * @param {number} x1 - X coordinate of the opposite corner.
+     * @param {number} y1 - Y coordinate of the opposite corner.
+     * @param {object} [properties] - Initial sector properties of the drawn area.
+     * @returns {Sector[]} The sectors covering the drawn area.
+     * @throws {Error} If the rectangle has no area.
+     */
+    drawRectangle(x0, y0, x1, y1, properties = {}) {
+        return this.#drawShape('Draw rectangle', [x0, y0, x1, y0, x1, y1, x0, y1], properties);
+    }
+
+    /**
+     * Draws a regular polygon as a closed sector.
+     *
+     * @param {number} cx - Center X coordinate.
+     * @param {number} cy - Center Y coordinate.
+     * @param {number} radius - Distance from the center to the corners.
+     * @param {number} sides - Number of sides, at least 3.
+     * @param {number} [rotation=0] - Angle of the first corner in radians (0 = east).
+     * @param {object} [properties] - Initial sector properties of the drawn area.
+     * @returns {Sector[]} The sectors covering the drawn area.
+     * @throws {Error} If there are too few sides or the polygon has no area.
+     */
+    drawPolygon(cx, cy, radius, sides, rotation = 0, properties = {}) {
+        if (!Number.isInteger(sides) || sides < 3) {
+            throw new Error('A polygon needs at least 3 sides');
+        }
+
+        const flatXY = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = rotation + i * 2 * Math.PI / sides;
+            flatXY.push(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        }
+        return this.#drawShape('Draw polygon', flatXY, properties);
+    }
+
+    /**
+     * Draws an ellipse, or a circle if both radii are equal, as a closed sector.
+     *
+     * @param {number} cx - Center X coordinate.
+     * @param {number} cy - Center Y coordinate.
+     * @param {number} radiusX - Radius along X.
+     * @param {number} [radiusY] - Radius along Y, by default the same as along X.
+     * @param {?number} [segments] - Number of segments, by default one per 32 map units of circumference.
+     * @param {object} [properties] - Initial sector properties of the drawn area.
+     * @returns {Sector[]} The sectors covering the drawn area.
+     * @throws {Error} If the ellipse has no area.
+     */
+    drawEllipse(cx, cy, radiusX, radiusY = radiusX, segments = null, properties = {}) {
+        // Ramanujan's approximation of the circumference
+        const a = Math.abs(radiusX);
+        const b = Math.abs(radiusY);
+        const circumference = Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+        const count = segments ?? DoomMap.#segmentCount(circumference, 8);
+
+        const flatXY = [];
+        for (let i = 0; i < count; i++) {
+            const angle = i * 2 * Math.PI / count;
+            flatXY.push(cx + Math.cos(angle) * radiusX, cy + Math.sin(angle) * radiusY);
+        }
+        return this.#drawShape('Draw ellipse', flatXY, properties);
+    }
+
+    /**
+     * Draws a circular arc between two points, closed by the straight line between them,
+     * as a closed sector.
+     *
+     * @param {{x:number, y:number}} from - Start point of the arc.
+     * @param {{x:number, y:number}} to - End point of the arc.
+     * @param {number} bulge - Distance of the middle of the arc from the straight line, to the
+     *                         left of the direction from start to end if positive, to the right if negative.
+     * @param {?number} [segments] - Number of segments, by default one per 32 map units of arc length.
+     * @param {object} [properties] - Initial sector properties of the drawn area.
+     * @returns {Sector[]} The sectors covering the drawn area.
+     * @throws {Error} If the points coincide or the arc has no bulge.
+     */
+    drawArc(from, to, bulge, segments = null, properties = {}) {
+        const chord = Utility.distanceTo(from.x, from.y, to.x, to.y);
+        if (chord === 0 || bulge === 0) {
+            throw new Error('Shape has no area');
+        }
+
+        // Circle through both points and the middle of the arc, swept clockwise for a bulge to the left
+        const half = chord / 2;
+        const radius = (half * half + bulge * bulge) / (2 * Math.abs(bulge));
+        const sweep = -4 * Math.atan(bulge / half);
+        const nx = -(to.y - from.y) / chord;
+        const ny = (to.x - from.x) / chord;
+        const cx = (from.x + to.x) / 2 + nx * (bulge - Math.sign(bulge) * radius);
+        const cy = (from.y + to.y) / 2 + ny * (bulge - Math.sign(bulge) * radius);
+        const start = Math.atan2(from.y - cy, from.x - cx);
+        const count = segments ?? DoomMap.#segmentCount(Math.abs(sweep) * radius, 2);
+
+        const flatXY = [from.x, from.y];
+        for (let i = 1; i < count; i++) {
+            const angle = start + sweep * i / count;
+            flatXY.push(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        }
+        flatXY.push(to.x, to.y);
+        return this.#drawShape('Draw arc', flatXY, properties);
+    }
+
+    /**
+     * Adds a chain of lines following a Bezier curve or Catmull-Rom spline.
+     *
+     * The curve is flattened by {@link Curve.flatten} and snapped to the integer grid, leaving
+     * out points that would make zero-length segments or make the chain fold back or cross itself.
+     * A line between two consecutive anchors of the curve is replaced by the part of the chain
+     * between them, which takes over its side textures and flags.
+     *
+     * @param {string} type - Curve type, one of {@link Curve.TYPES}.
+     * @param {Array<{x:number, y:number}>} points - Control points.
+     * @param {object} [options] - Overrides for {@link Curve.DEFAULT_OPTIONS}.
+     * @returns {Line[]} The lines along the chain.
+     * @throws {Error} If the control points do not describe a curve, or it has no length on the grid.
+     */
+    addCurve(type, points, options = {}) {
+        const pieces = Curve.flatten(type, points, options);
+
+        // One chain of snapped points, each tagged with the piece of the segment ending at it
+        const chain = [];
+        pieces.forEach((piece, index) => {
+            piece.forEach((point, i) => {
+                if (i > 0 || index === 0) {
+                    chain.push({ x: Math.round(point.x), y: Math.round(point.y), piece: index });
+                }
+            });
+        });
+        DoomMap.#untangleChain(chain);
+        if (chain.length < 2) {
+            throw new Error('Curve has no length');
+        }
+
+        return this.#history.group('Add curve', () => {
+            // Lines between consecutive anchors are bent into the curve
+            const replaced = pieces.map(piece => {
+                const x0 = Math.round(piece[0].x);
+                const y0 = Math.round(piece[0].y);
+                const x1 = Math.round(piece[piece.length - 1].x);
+                const y1 = Math.round(piece[piece.length - 1].y);
+                const line = this.getLine(x0, y0, x1, y1);
+                if (line === null) {
+                    return null;
+                }
+                this.removeLine(x0, y0, x1, y1, true);
+                return { line, forward: line.v0.x === x0 && line.v0.y === y0 };
+            });
+
+            // Length of each piece, and how far into its piece each segment of the chain starts
+            const lengths = pieces.map(() => 0);
+            const starts = [0];
+            for (let i = 1; i < chain.length; i++) {
+                starts.push(lengths[chain[i].piece]);
+                lengths[chain[i].piece] += Math.hypot(chain[i].x - chain[i - 1].x, chain[i].y - chain[i - 1].y);
+            }
+
+            for (let i = 1; i < chain.length; i++) {
+                const p = chain[i - 1];
+                const q = chain[i];
+                const lines = this.addLine(p.x, p.y, q.x, q.y, true);
+                const template = replaced[q.piece];
+                if (!lines || template === null) {
+                    continue;
+                }
+
+                // Textures run on along the curve. A front side is offset from where the replaced
+                // line started, a back side from where it ended, as back textures run from v1 to v0
+                const offset = (side, point) => {
+                    const along = starts[i] + Math.hypot(point.x - p.x, point.y - p.y);
+                    const fromStart = (side === template.line.front) === template.forward;
+                    return side.xOffset + Math.round(fromStart ? along : lengths[q.piece] - along);
+                };
+
+                // Sides keep facing the same way as on the replaced line
+                lines.forEach(line => {
+                    const forward = (line.v1.x - line.v0.x) * (q.x - p.x) + (line.v1.y - line.v0.y) * (q.y - p.y) > 0;
+                    const same = forward === template.forward;
+                    const front = same ? template.line.front : template.line.back;
+                    const back = same ? template.line.back : template.line.front;
+                    line.front.copy(front);
+                    line.back.copy(back);
+                    line.front.xOffset = offset(front, line.v0);
+                    line.back.xOffset = offset(back, line.v1);
+                    line.flags.copy(template.line.flags);
+                });
+            }
+
+            this.rebuildSectors();
+
+            const result = new Set();
+            for (let i = 1; i < chain.length; i++) {
+                this.#linesAlong(chain[i - 1].x, chain[i - 1].y, chain[i].x, chain[i].y).forEach(({ line }) => {
+                    result.add(line);
+                });
+            }
+            return [...result];
+        });
+    }
+
+    /**
+     * Removes points from a snapped chain until its segments only meet at shared ends: repeated
+     * points, points where the chain folds back, and loops where the chain touches itself.
+     * The ends of the chain are kept, and may coincide to close it.
+     */
+    static #untangleChain(chain) {
+        const same = (a, b) => a.x === b.x && a.y === b.y;
+        const touches = (a, b, c, d) =>
+            Utility.segmentsProperlyIntersect(a.x, a.y, b.x, b.y, c.x, c.y, d.x, d.y) ||
+            Utility.collinearOverlapMoreThanEndpoint(a.x, a.y, b.x, b.y, c.x, c.y, d.x, d.y) ||
+            [[c, a, b], [d, a, b], [a, c, d], [b, c, d]].some(([p, q, r]) =>
+                Utility.orientation(q.x, q.y, r.x, r.y, p.x, p.y) === 0 && Utility.onSegment(q.x, q.y, p.x, p.y, r.x, r.y));
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+
+            for (let i = chain.length - 1; i > 0; i--) {
+                if (same(chain[i], chain[i - 1])) {
+                    chain.splice(i, 1);
+                }
+            }
+
+            for (let i = 1; i < chain.length - 1 && !changed; i++) {
+                const [a, b, c] = [chain[i - 1], chain[i], chain[i + 1]];
+                if (Utility.orientation(a.x, a.y, b.x, b.y, c.x, c.y) === 0 &&
+                    (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y) < 0) {
+                    chain.splice(i, 1);
+                    changed = true;
+                }
+            }
+
+            // Segments i and j, not neighbors along the chain, or around its closing point
+            const closed = chain.length > 3 && same(chain[0], chain[chain.length - 1]);
+            for (let i = 0; i < chain.length - 1 && !changed; i++) {
+                for (let j = i + 2; j < chain.length - 1 && !changed; j++) {
+                    if (closed && i === 0 && j === chain.length - 2) {
+                        continue;
+                    }
+                    if (touches(chain[i], chain[i + 1], chain[j], chain[j + 1])) {
+                        chain.splice(i + 1, j - i);
+                        changed = true;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Number of segments approximating a curve of the given length, but no fewer than the minimum.
+     */
+    static #segmentCount(length, minimum) {
+        return Math.max(minimum, Math.round(length / DoomMap.#CURVE_SEGMENT_LENGTH));
+    }
+
+    /**
+     * Draws a closed loop of lines in one undo step and applies sector properties to the area inside.
+     * New sectors inside take the properties of the template sector, if given.
+     */
+    #drawShape(label, flatXY, properties, template = null) {
+        // Snap to the integer grid, dropping corners that collapse onto their neighbor
+        const points = [];
+        for (let i = 0; i < flatXY.length; i += 2) {
+            const x = Math.round(flatXY[i]);
+            const y = Math.round(flatXY[i + 1]);
+            const last = points[points.length - 1];
+            if (last === undefined || last.x !== x || last.y !== y) {
+                points.push({ x, y });
+            }
+        }
+        while (points.length > 1 && points[0].x === points[points.length - 1].x &&
+            points[0].y === points[points.length - 1].y) {
+            points.pop();
+        }
+
+        const area = Utility.signedArea2d(points.flatMap(p => [p.x, p.y]));
+        if (area === 0) {
+            throw new Error('Shape has no area');
+        }
+
+        return this.#history.group(label, () => {
+            points.forEach((p, i) => {
+                const q = points[(i + 1) % points.length];
+                this.addLine(p.x, p.y, q.x, q.y, true);
+            });
+
+            // The drawn area is made of the sectors on the inner side of the lines along the outline,
+            // which is the left side of each edge of a counter-clockwise loop
+            const inner = [];
+            points.forEach((p, i) => {
+                const q = points[(i + 1) % points.length];
+                this.#linesAlong(p.x, p.y, q.x, q.y).forEach(({ line, forward }) => {
+                    inner.push(forward === area > 0 ? line.front : line.back);
+                });
+            });
+            if (template !== null) {
+                inner.forEach(side => {
+                    side.sectorOverride = template;
+                });
+            }
+
+            this.rebuildSectors();
+
+            const sectors = new Set();
+            inner.forEach(side => {
+                if (side.sector !== null) {
+                    sectors.add(side.sector);
+                }
+            });
+
+            sectors.forEach(sector => {
+                Object.entries(properties).forEach(([property, value]) => {
+                    this.setSectorProperty(sector, property, value);
+                });
+            });
+            return [...sectors];
+        });
+    }
+
+    /**
+     * Finds the lines running along part of the segment (x0, y0) - (x1, y1), and whether each runs
+     * in the same direction. Collinear lines are merged when added, so a line may extend past the segment.
+     */
+    #linesAlong(x0, y0, x1, y1) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const length2 = dx * dx + dy * dy;
+
+        const found = [];
+        this.iterateLines(line => {
+            if (Utility.orientation(x0, y0, x1, y1, line.v0.x, line.v0.y) !== 0 ||
+                Utility.orientation(x0, y0, x1, y1, line.v1.x, line.v1.y) !== 0) {
+                return;
+            }
+
+            // Positions of the line's vertices along the segment, which runs from 0 to 1
+            const t0 = ((line.v0.x - x0) * dx + (line.v0.y - y0) * dy) / length2;
+            const t1 = ((line.v1.x - x0) * dx + (line.v1.y - y0) * dy) / length2;
+            if (Math.max(Math.min(t0, t1), 0) >= Math.min(Math.max(t0, t1), 1)) {
+                return;
+            }
+            found.push({ line, forward: t1 > t0 });
+        }, { x: Math.min(x0, x1), y: Math.min(y0, y1) }, { x: Math.max(x0, x1), y: Math.max(y0, y1) });
+        return found;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Stairs
+
+    /**
+     * Builds a staircase along a path, drawing one sector per step laid out by
+     * {@link StairBuilder.layout}. By default the first step is one rise above the floor
+     * at the start of the path.
+     *
+     * @param {Array<{x:number, y:number}>} path - Center line of the staircase, from bottom to top.
+     * @param {object} [options] - Overrides for {@link StairBuilder.DEFAULT_OPTIONS}.
+     * @returns {Sector[]} The step sectors, from bottom to top.
+     * @throws {Error} If the path or options do not describe a staircase.
+     */
+    buildStairs(path, options = {}) {
+        const settings = { ...StairBuilder.DEFAULT_OPTIONS, ...options };
+        const steps = StairBuilder.layout(path, settings);
+        const below = path.length > 0 ? this.getSector(path[0].x, path[0].y) : null;
+        const startHeight = settings.startHeight ?? (below?.properties.floorHeight ?? 0) + settings.rise;
+
+        return this.#history.group('Build stairs', () => {
+            // Steps are cut from the sector the stairs start in, keeping its other properties
+            steps.forEach(step => {
+                this.#drawShape('Draw step', step.outline, {}, below);
+            });
+
+            // Drawing later steps rebuilds the earlier ones, so steps are found once all are drawn
+            const sectors = steps.map(step => this.getSector(step.center.x, step.center.y));
+            if (sectors.some(sector => sector === null)) {
+                throw new Error('Steps are too small to hold a sector');
+            }
+            this.#raiseSteps(sectors, settings, startHeight);
+            return sectors;
+        });
+    }
+
+    /**
+     * Turns sectors into a staircase, with steps ordered by the position of their centers
+     * along a direction. By default the first step keeps its floor height.
+     *
+     * @param {?Sector[]} sectors - The sectors, or null for the selected sectors.
+     * @param {{x:number, y:number}} direction - Direction in which the stairs go up.
+     * @param {object} [options] - Overrides for {@link StairBuilder.DEFAULT_OPTIONS}.
+     *                             Only the heights, light levels and riser texture apply.
+     * @returns {Sector[]} The step sectors, from bottom to top.
+     * @throws {Error} If there are no sectors, a sector is not in this map, or the direction has no length.
+     */
+    convertToStairs(sectors, direction, options = {}) {
+        const settings = { ...StairBuilder.DEFAULT_OPTIONS, ...options };
+        const list = [];
+        if (sectors === null) {
+            this.iterateSectors(sector => {
+                list.push(sector);
+            }, null, null, true);
+        } else {
+            list.push(...sectors);
+        }
+        if (list.length === 0) {
+            throw new Error('No sectors to convert into stairs');
+        }
+        if (list.some(sector => !this.#sectors.includes(sector))) {
+            throw new Error('Attempted to convert non-existing sector into stairs');
+        }
+        if (direction.x === 0 && direction.y === 0) {
+            throw new Error('Stair direction has no length');
+        }
+
+        const along = sector => {
+            const { min, max } = sector.bounds;
+            return (min.x + max.x) / 2 * direction.x + (min.y + max.y) / 2 * direction.y;
+        };
+        const ordered = list.map(sector => ({ sector, position: along(sector) }))
+            .sort((a, b) => a.position - b.position)
+            .map(({ sector }) => sector);
+        const startHeight = settings.startHeight ?? ordered[0].properties.floorHeight;
+
+        return this.#history.group('Convert to stairs', () => {
+            this.#raiseSteps(ordered, settings, startHeight);
+            return ordered;
+        });
+    }
+
+    /**
+     * Sets the heights and light levels of ordered step sectors, and the riser texture on
+     * the sides of their edges that face a lower floor.
+     */
+    #raiseSteps(sectors, settings, startHeight) {
+        sectors.forEach((sector, i) => {
+            const floorHeight = startHeight + i * settings.rise;
+            this.setSectorProperty(sector, 'floorHeight', floorHeight);
+            if (settings.headroom !== null) {
+                this.setSectorProperty(sector, 'ceilingHeight', floorHeight + settings.headroom);
+            }
+            if (settings.lightLevels !== null) {
+                const [first, last] = settings.lightLevels;
+                const t = sectors.length > 1 ? i / (sectors.length - 1) : 0;
+                this.setSectorProperty(sector, 'lightLevel', Math.round(first + (last - first) * t));
+            }
+        });
+
+        if (settings.riserTexture === null) {
+            return;
+        }
+        sectors.forEach(sector => {
+            sector.lines.forEach(line => {
+                const isFront = line.front.sector !== sector;
+                const lower = isFront ? line.front.sector : line.back.sector;
+                if (lower !== null && lower.properties.floorHeight < sector.properties.floorHeight) {
+                    this.setSideProperty(line, 'textureLower', settings.riserTexture, isFront);
+                }
+            });
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Prefabs
+
+    /**
+     * Makes a door from a sector, or across a line joining two sectors, where a door sector as
+     * thick as the `depth` option is drawn. The line should span the gap between two walls,
+     * which become the jambs of the door.
+     *
+     * The door is closed, with its ceiling down on its floor. Its faces, the lines to neighboring
+     * sectors, get the door special with the door on their back side and the door texture on
+     * their front. Its jambs, the one-sided lines, get the track texture, lower unpegged so it
+     * stays in place while the door moves.
+     *
+     * @param {Line|Sector} target - A line joining two sectors, or the sector to turn into a door.
+     * @param {object} [options] - Overrides for {@link PrefabBuilder.DOOR_OPTIONS}.
+     * @returns {Sector} The door sector.
+     * @throws {Error} If the target is not in this map, or Doom has no door with the options.
+     */
+    makeDoor(target, options = {}) {
+        const settings = { ...PrefabBuilder.DOOR_OPTIONS, ...options };
+        const special = PrefabBuilder.doorSpecial(settings);
+
+        return this.#history.group('Make door', () => {
+            let door = target;
+            if (target instanceof Line) {
+                this.#checkPrefabLine(target);
+                const template = target.front.sector;
+                const outline = PrefabBuilder.outline(target, settings.depth / 2, settings.depth / 2);
+                this.removeLine(target.v0.x, target.v0.y, target.v1.x, target.v1.y, true);
+                door = this.#drawPrefab('Draw door', outline, template);
+            } else if (!this.#sectors.includes(target)) {
+                throw new Error('Attempted to make a door of non-existing sector');
+            }
+            door = this.#orientFaces(door);
+
+            this.setSectorProperty(door, 'ceilingHeight', door.properties.floorHeight);
+            if (settings.ceilingTexture !== null) {
+                this.setSectorProperty(door, 'ceilingTexture', settings.ceilingTexture);
+            }
+            if (settings.tag !== null) {
+                this.setSectorProperty(door, 'tag', settings.tag);
+            }
+
+            door.lines.forEach(line => {
+                if (line.front.sector === null || line.back.sector === null) {
+                    this.setLineFlag(line, 'lowerUnpegged', true);
+                    this.setSideProperty(line, 'textureMiddle', settings.trackTexture, line.front.sector === door);
+                } else if (line.back.sector === door && line.front.sector !== door) {
+                    this.setLineFlag(line, 'twoSided', true);
+                    this.setLineFlag(line, 'upperUnpegged', false);
+                    this.setSideProperty(line, 'textureUpper', settings.texture, true);
+                    this.setLineProperty(line, 'special', special);
+                }
+            });
+            return door;
+        });
+    }
+
+    /**
+     * Makes a lift from a sector, or against a line joining two sectors, where a lift sector as
+     * deep as the `depth` option is drawn on the side with the lower floor.
+     *
+     * The lift is raised to its top height and lowers to the lowest neighboring floor when
+     * triggered. Its faces, the lines to neighboring sectors, have the lift on their back side.
+     * Faces towards lower floors get the lift texture, pegged so it moves with the lift, and
+     * the lift special. With the walk trigger, every face gets the special.
+     *
+     * @param {Line|Sector} target - A line joining two sectors, or the sector to turn into a lift.
+     * @param {object} [options] - Overrides for {@link PrefabBuilder.LIFT_OPTIONS}.
+     * @returns {Sector} The lift sector.
+     * @throws {Error} If the target is not in this map, the lift has no neighboring sector,
+     *                 or an option is unknown.
+     */
+    makeLift(target, options = {}) {
+        const settings = { ...PrefabBuilder.LIFT_OPTIONS, ...options };
+        const special = PrefabBuilder.liftSpecial(settings);
+
+        return this.#history.group('Make lift', () => {
+            let lift = target;
+            if (target instanceof Line) {
+                this.#checkPrefabLine(target);
+                const frontLower = target.front.sector.properties.floorHeight < target.back.sector.properties.floorHeight;
+                const outline = frontLower
+                    ? PrefabBuilder.outline(target, settings.depth, 0)
+                    : PrefabBuilder.outline(target, 0, settings.depth);
+                lift = this.#drawPrefab('Draw lift', outline, frontLower ? target.front.sector : target.back.sector);
+            } else if (!this.#sectors.includes(target)) {
+                throw new Error('Attempted to make a lift of non-existing sector');
+            }
+            lift = this.#orientFaces(lift);
+
+            const faces = lift.lines.filter(line => line.back.sector === lift &&
+                line.front.sector !== null && line.front.sector !== lift);
+            if (faces.length === 0) {
+                throw new Error('Lift has no neighboring sector');
+            }
+            const height = settings.height ??
+                Math.max(...faces.map(line => line.front.sector.properties.floorHeight));
+            const tag = settings.tag ?? this.#unusedTag();
+
+            this.setSectorProperty(lift, 'floorHeight', height);
+            this.setSectorProperty(lift, 'tag', tag);
+            faces.forEach(line => {
+                const below = line.front.sector.properties.floorHeight < height;
+                this.setLineFlag(line, 'twoSided', true);
+                if (below) {
+                    this.setLineFlag(line, 'lowerUnpegged', false);
+                    this.setSideProperty(line, 'textureLower', settings.texture, true);
+                }
+                if (below || settings.trigger === 'walk') {
+                    this.setLineProperty(line, 'special', special);
+                    this.setLineProperty(line, 'tag', tag);
+                }
+            });
+            return lift;
+        });
+    }
+
+    #checkPrefabLine(line) {
+        if (!this.#lines.includes(line)) {
+            throw new Error('Attempted to build on non-existing line');
+        }
+        if (line.front.sector === null || line.back.sector === null) {
+            throw new Error('Line does not join two sectors');
+        }
+    }
+
+    /**
+     * Draws the sector of a prefab, taking the properties of the template sector.
+     */
+    #drawPrefab(label, outline, template) {
+        const sectors = this.#drawShape(label, outline, {}, template);
+        if (sectors.length !== 1) {
+            throw new Error('Prefab area is split by other lines');
+        }
+        return sectors[0];
+    }
+
+    /**
+     * Flips the faces of a prefab sector that have it on their front, as Doom's manual specials act
+     * on the sector on the back side. Returns the sector, which is recreated if lines are flipped.
+     */
+    #orientFaces(sector) {
+        const id = sector.id;
+        const flips = sector.lines.filter(line => line.front.sector === sector &&
+            line.back.sector !== null && line.back.sector !== sector);
+        if (flips.length === 0) {
+            return sector;
+        }
+
+        flips.forEach(line => {
+            this.#flipLine(line);
+        });
+        this.rebuildSectors();
+        return this.getById(id);
+    }
+
+    /**
+     * Replaces a line with one running the other way, with its sides swapped so the sectors on
+     * both sides keep their properties. Sectors are not rebuilt.
+     */
+    #flipLine(line) {
+        const flipped = line.clone(this.#vertexMap, line.v1, line.v0);
+        flipped.front.copy(line.back);
+        flipped.back.copy(line.front);
+
+        this.#removeLine(line);
+        this.#addLine(flipped);
+
+        const l = this.#lineMap.get(DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y));
+        l.front.sectorOverride = line.back.sector;
+        l.back.sectorOverride = line.front.sector;
+    }
+
+    /**
+     * Returns a tag used by no sector or line.
+     */
+    #unusedTag() {
+        let tag = 0;
+        this.#sectors.forEach(sector => {
+            tag = Math.max(tag, sector.properties.tag);
+        });
+        this.#lines.forEach(line => {
+            tag = Math.max(tag, line.tag);
+        });
+        return tag + 1;
+    }
+
     ////////////////////////////////////////////////////////////////////////////
     // Selection API
 
@@ -1425,6 +2988,57 @@ export default class DoomMap extends EventTarget {
         return submap;
     }
 
+    ////////////////////////////////////////////////////////////////////////////
+    // Validation
+
+    /**
+     * Checks the map for problems such as open geometry, missing textures or a missing player start.
+     *
+     * @param {object} [options] - Overrides for {@link MapValidator.DEFAULT_OPTIONS}, to toggle
+     *        individual checks or add custom rules.
+     * @returns {Array<{severity:string, code:string, message:string, geometry:?object}>} Problems found.
+     */
+    validate(options = {}) {
+        return MapValidator.validate(this, options);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Navigation
+
+    /**
+     * Finds the sectors the player can walk to from a thing or point, climbing steps and
+     * fitting under ceilings as set in the options.
+     *
+     * @param {Thing|{x:number, y:number}} from - Thing, such as a player start, or point to start from.
+     * @param {object} [options] - Overrides for {@link NavigationGraph.DEFAULT_OPTIONS}.
+     * @returns {Sector[]} Reachable sectors, empty if the start is outside all sectors.
+     */
+    reachableSectors(from, options = {}) {
+        const start = this.getSector(from.x, from.y);
+        if (start === null) {
+            return [];
+        }
+        return [...new NavigationGraph(this).reachableSectors(start, options)];
+    }
+
+    /**
+     * Finds the shortest walk of the player between two points.
+     *
+     * @param {{x:number, y:number}} from - Start point.
+     * @param {{x:number, y:number}} to - End point.
+     * @param {object} [options] - Overrides for {@link NavigationGraph.DEFAULT_OPTIONS}.
+     * @returns {?{sectors: Sector[], points: Array<{x:number, y:number}>, distance: number}}
+     *          Sectors walked through, points of the walk and its length, or null if there is no walk.
+     */
+    findPath(from, to, options = {}) {
+        const fromSector = this.getSector(from.x, from.y);
+        const toSector = this.getSector(to.x, to.y);
+        if (fromSector === null || toSector === null) {
+            return null;
+        }
+        return new NavigationGraph(this).findPath(from, fromSector, to, toSector, options);
+    }
+
     ////////////////////////////////////////////////////////////////////////////
     // Serialization
 
@@ -1438,6 +3052,58 @@ export default class DoomMap extends EventTarget {
         };
     }
 
+    /**
+     * Writes the map as a UDMF TEXTMAP document.
+     *
+     * @param {string} [namespace='zdoom'] - Target namespace ("doom" or "zdoom").
+     * @returns {string} TEXTMAP source.
+     */
+    exportTextMap(namespace = 'zdoom') {
+        return Udmf.write(this, namespace);
+    }
+
+    /**
+     * Writes a 3D mesh of the map as a glTF document with an embedded buffer.
+     *
+     * @param {object} [options] - Overrides for {@link Gltf.DEFAULT_OPTIONS} and {@link MeshBuilder.DEFAULT_OPTIONS}.
+     * @returns {string} glTF JSON source.
+     */
+    exportGltf(options = {}) {
+        return Gltf.write(this, options);
+    }
+
+    /**
+     * Writes a 3D mesh of the map as a Wavefront OBJ document.
+     *
+     * @param {object} [options] - Overrides for {@link Obj.DEFAULT_OPTIONS} and {@link MeshBuilder.DEFAULT_OPTIONS}.
+     * @returns {{ obj: string, mtl: string }} OBJ source and material library source.
+     */
+    exportObj(options = {}) {
+        return Obj.write(this, options);
+    }
+
+    /**
+     * Writes a top-down overview of the map as an SVG document, highlighting the selection.
+     * The grid, if enabled, is drawn at the cell size of the spatial grid.
+     *
+     * @param {object} [options] - Overrides for {@link Svg.DEFAULT_OPTIONS}.
+     * @returns {string} SVG source.
+     */
+    exportSvg(options = {}) {
+        return Svg.write(this, { gridSize: DoomMap.#SPATIAL_GRID_CELL_SIZE, ...options });
+    }
+
+    /**
+     * Replaces the map contents with a UDMF TEXTMAP document.
+     * Fields the map does not model are preserved for export.
+     *
+     * @param {string} text - TEXTMAP source.
+     * @returns {Array<{code:string, lump:string, message:string}>} Problems found while loading.
+     */
+    importTextMap(text) {
+        return Udmf.read(text, this).errors;
+    }
+
     /**
      * Restores a map from serialized data.
      * All vertices, lines, sectors, and things are rebuilt and registered into the map.
@@ -1452,6 +3118,9 @@ export default class DoomMap extends EventTarget {
         this.#sectors.length = 0;
         this.#things.length = 0;
         this.#spatialGrid.clear();
+        this.#spatialGridExtents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        this.#idMap.clear();
+        this.#nextId = 1;
         this.#metadata = JSON.parse(JSON.stringify(data.metadata));
 
         data.vertices.forEach(vData => {
@@ -1463,6 +3132,7 @@ export default class DoomMap extends EventTarget {
         });
 
         data.sectors.forEach(sData => {
+            this.#clearInheritedSides(sData.lines);
             this.#addSector(Sector.deserialize(sData, this.#lineMap));
         });
 
@@ -0,0 +1,146 @@
+import MeshBuilder from '../builders/meshbuilder.class.js';
+
+/**
+ * Writes a 3D mesh of a {@link DoomMap} as a glTF 2.0 document with an embedded buffer.
+ *
+ * The map is a single mesh with one primitive and material per texture name.
+ * glTF is Y up, so map coordinates (x, y, z) are written as (x, z, -y).
+ */
+export default class Gltf {
+    /** @type {number} Component type of 32-bit floats. */
+    static #FLOAT = 5126;
+    /** @type {number} Component type of 32-bit unsigned integers. */
+    static #UNSIGNED_INT = 5125;
+    /** @type {number} Buffer view target of vertex attributes. */
+    static #ARRAY_BUFFER = 34962;
+    /** @type {number} Buffer view target of indices. */
+    static #ELEMENT_ARRAY_BUFFER = 34963;
+    /** @type {number} Texture sampler wrap mode that repeats the texture. */
+    static #REPEAT = 10497;
+    /** @type {number} Texture sampler filter that picks the nearest texel. */
+    static #NEAREST = 9728;
+
+    /**
+     * Default export options, in addition to {@link MeshBuilder.DEFAULT_OPTIONS}.
+     *
+     * @type {{ scale: number, textureUri: ?function(string):string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Size of one map unit in the exported scene. */
+        scale: 1,
+        /** Returns the image URI of a texture name. Materials are left untextured if not set. */
+        textureUri: null,
+    };
+
+    /**
+     * Writes a map as a glTF document.
+     *
+     * @param {DoomMap} map - The map to export.
+     * @param {object} [options] - Overrides for {@link Gltf.DEFAULT_OPTIONS} and {@link MeshBuilder.DEFAULT_OPTIONS}.
+     * @returns {string} glTF JSON source.
+     */
+    static write(map, options = {}) {
+        const settings = { ...Gltf.DEFAULT_OPTIONS, ...options };
+        const surfaces = MeshBuilder.build(map, options);
+
+        const gltf = {
+            asset: { version: '2.0' },
+            scene: 0,
+            scenes: [{ name: map.metadata.name, nodes: [0] }],
+            nodes: [{ name: map.metadata.name, mesh: 0 }],
+            meshes: [{ name: map.metadata.name, primitives: [] }],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: [],
+        };
+
+        // Every accessor is made of 4-byte components, so views stay aligned when packed back to back
+        const chunks = [];
+        let byteLength = 0;
+        const addAccessor = (array, type, target, extra = {}) => {
+            gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+            gltf.accessors.push({
+                bufferView: gltf.bufferViews.length - 1,
+                componentType: array instanceof Float32Array ? Gltf.#FLOAT : Gltf.#UNSIGNED_INT,
+                count: array.length / { SCALAR: 1, VEC2: 2, VEC3: 3 }[type],
+                type,
+                ...extra,
+            });
+            chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+            byteLength += array.byteLength;
+            return gltf.accessors.length - 1;
+        };
+
+        surfaces.forEach(surface => {
+            const positions = new Float32Array(surface.positions.length);
+            const normals = new Float32Array(surface.normals.length);
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < positions.length; i += 3) {
+                positions[i] = surface.positions[i] * settings.scale;
+                positions[i + 1] = surface.positions[i + 2] * settings.scale;
+                positions[i + 2] = -surface.positions[i + 1] * settings.scale;
+                normals[i] = surface.normals[i];
+                normals[i + 1] = surface.normals[i + 2];
+                normals[i + 2] = -surface.normals[i + 1];
+                for (let j = 0; j < 3; j++) {
+                    min[j] = Math.min(min[j], positions[i + j]);
+                    max[j] = Math.max(max[j], positions[i + j]);
+                }
+            }
+
+            const material = { name: surface.texture, pbrMetallicRoughness: { metallicFactor: 0, roughnessFactor: 1 } };
+            if (settings.textureUri !== null) {
+                if (gltf.samplers === undefined) {
+                    gltf.samplers = [{ magFilter: Gltf.#NEAREST, wrapS: Gltf.#REPEAT, wrapT: Gltf.#REPEAT }];
+                    gltf.images = [];
+                    gltf.textures = [];
+                }
+                gltf.images.push({ name: surface.texture, uri: settings.textureUri(surface.texture) });
+                gltf.textures.push({ sampler: 0, source: gltf.images.length - 1 });
+                material.pbrMetallicRoughness.baseColorTexture = { index: gltf.textures.length - 1 };
+            }
+            gltf.materials.push(material);
+
+            gltf.meshes[0].primitives.push({
+                attributes: {
+                    POSITION: addAccessor(positions, 'VEC3', Gltf.#ARRAY_BUFFER, { min, max }),
+                    NORMAL: addAccessor(normals, 'VEC3', Gltf.#ARRAY_BUFFER),
+                    TEXCOORD_0: addAccessor(Float32Array.from(surface.uvs), 'VEC2', Gltf.#ARRAY_BUFFER),
+                },
+                indices: addAccessor(Uint32Array.from(surface.indices), 'SCALAR', Gltf.#ELEMENT_ARRAY_BUFFER),
+                material: gltf.materials.length - 1,
+            });
+        });
+
+        const buffer = new Uint8Array(byteLength);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            buffer.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        gltf.buffers.push({ byteLength, uri: `data:application/octet-stream;base64,${Gltf.#encodeBase64(buffer)}` });
+
+        // glTF allows no empty arrays, so an empty map is written as a scene with a bare node
+        if (surfaces.length === 0) {
+            delete gltf.nodes[0].mesh;
+            ['meshes', 'materials', 'accessors', 'bufferViews', 'buffers'].forEach(key => {
+                delete gltf[key];
+            });
+        }
+
+        return JSON.stringify(gltf);
+    }
+
+    /**
+     * Encodes bytes as base64, in chunks to stay within the argument limit of String.fromCharCode.
+     */
+    static #encodeBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+}
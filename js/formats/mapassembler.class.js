@@ -0,0 +1,161 @@
+import DoomMap from '../doommap.class.js';
+
+/**
+ * Converts index-based map records, as stored by Doom map formats,
+ * into the data shape accepted by {@link DoomMap#deserialize}.
+ */
+export default class MapAssembler {
+    /**
+     * Assembles decoded map records.
+     *
+     * Linedefs follow the Doom convention of having their front sidedef on the right
+     * of v0 -> v1. Any linedef fields besides `v0`, `v1`, `front` and `back` are passed
+     * through to the line data unchanged, as are sidedef fields besides `sector`.
+     *
+     * @param {object} records - Decoded records.
+     * @param {Array<{x:number, y:number}>} records.vertices - Vertex positions.
+     * @param {object[]} records.sectors - Sector property objects.
+     * @param {Array<{sector:number}>} records.sidedefs - Sidedefs with a sector index (-1 for none).
+     * @param {Array<{v0:number, v1:number, front:number, back:number}>} records.linedefs
+     *        Linedefs with vertex indices and sidedef indices (-1 for none).
+     * @param {(code:string, lump:string, message:string) => void} error - Receives problems found in the records.
+     * @returns {{ vertices: object[], lines: object[], sectors: object[] }} Serialized map data without things or metadata.
+     */
+    static assemble({ vertices, sectors, sidedefs, linedefs }, error) {
+        const vertexData = [];
+        const vertexKeys = new Set();
+        vertices.forEach(vertex => {
+            const key = DoomMap.createVertexKey(vertex.x, vertex.y);
+            if (!vertexKeys.has(key)) {
+                vertexKeys.add(key);
+                vertexData.push({ ...vertex });
+            }
+        });
+
+        const sidedefSectors = sidedefs.map((sidedef, i) => {
+            if (sidedef.sector >= sectors.length || sidedef.sector < -1) {
+                error('invalid-sector-index', 'SIDEDEFS', `Sidedef ${i} references missing sector ${sidedef.sector}`);
+                return -1;
+            }
+            return sidedef.sector;
+        });
+
+        const sideData = index => {
+            if (index === -1) {
+                return {};
+            }
+            const { sector, ...side } = sidedefs[index];
+            return side;
+        };
+
+        const lineData = [];
+        const lineKeys = new Set();
+        const sectorLines = sectors.map(() => []);
+
+        linedefs.forEach((linedef, i) => {
+            const { v0: i0, v1: i1, front: frontIndex, back: backIndex, ...fields } = linedef;
+
+            const start = vertices[i0];
+            const end = vertices[i1];
+            if (start === undefined || end === undefined) {
+                error('invalid-vertex-index', 'LINEDEFS', `Linedef ${i} references a missing vertex`);
+                return;
+            }
+            if (start.x === end.x && start.y === end.y) {
+                error('degenerate-line', 'LINEDEFS', `Linedef ${i} has zero length`);
+                return;
+            }
+
+            const key = DoomMap.createLineKey(start.x, start.y, end.x, end.y);
+            if (lineKeys.has(key)) {
+                error('duplicate-line', 'LINEDEFS', `Linedef ${i} overlaps another linedef`);
+                return;
+            }
+            lineKeys.add(key);
+
+            const sideIndex = (index, which) => {
+                if (index === -1) {
+                    return -1;
+                }
+                if (index < 0 || index >= sidedefs.length) {
+                    error('invalid-sidedef-index', 'LINEDEFS', `Linedef ${i} references missing ${which} sidedef ${index}`);
+                    return -1;
+                }
+                return index;
+            };
+
+            const front = sideIndex(frontIndex, 'front');
+            const back = sideIndex(backIndex, 'back');
+
+            // Doom puts the front sidedef on the right of the linedef while the front side
+            // of a Line lies on the left of v0 -> v1, so the direction is reversed
+            const v0 = { x: end.x, y: end.y };
+            const v1 = { x: start.x, y: start.y };
+
+            lineData.push({
+                ...fields,
+                v0,
+                v1,
+                front: sideData(front),
+                back: sideData(back),
+            });
+
+            const frontSector = front !== -1 ? sidedefSectors[front] : -1;
+            const backSector = back !== -1 ? sidedefSectors[back] : -1;
+            if (frontSector !== -1) {
+                sectorLines[frontSector].push({ v0, v1, front: true });
+            }
+            if (backSector !== -1) {
+                sectorLines[backSector].push({ v0, v1, front: false });
+            }
+        });
+
+        const sectorData = [];
+        sectors.forEach((properties, i) => {
+            if (sectorLines[i].length === 0) {
+                error('unused-sector', 'SECTORS', `Sector ${i} is not referenced by any sidedef`);
+                return;
+            }
+            sectorData.push({ properties, lines: MapAssembler.#orderLoops(sectorLines[i]) });
+        });
+
+        return { vertices: vertexData, lines: lineData, sectors: sectorData };
+    }
+
+    /**
+     * Orders sector line descriptors so that consecutive entries connect head to tail,
+     * walking each boundary loop with the sector on the left.
+     */
+    static #orderLoops(entries) {
+        const startOf = entry => entry.front ? entry.v0 : entry.v1;
+        const endOf = entry => entry.front ? entry.v1 : entry.v0;
+
+        const byStart = new Map();
+        entries.forEach(entry => {
+            const key = DoomMap.createVertexKey(startOf(entry).x, startOf(entry).y);
+            let array = byStart.get(key);
+            if (array === undefined) {
+                array = [];
+                byStart.set(key, array);
+            }
+            array.push(entry);
+        });
+
+        const ordered = [];
+        const visited = new Set();
+
+        entries.forEach(first => {
+            let entry = first;
+            while (entry !== undefined && !visited.has(entry)) {
+                visited.add(entry);
+                ordered.push(entry);
+
+                const end = endOf(entry);
+                const next = byStart.get(DoomMap.createVertexKey(end.x, end.y)) ?? [];
+                entry = next.find(candidate => !visited.has(candidate));
+            }
+        });
+
+        return ordered;
+    }
+}
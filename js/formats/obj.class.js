@@ -0,0 +1,80 @@
+import MeshBuilder from '../builders/meshbuilder.class.js';
+
+/**
+ * Writes a 3D mesh of a {@link DoomMap} as a Wavefront OBJ document with a material library.
+ *
+ * Faces are grouped by texture name, each with a material of the same name.
+ * OBJ is conventionally Y up, so map coordinates (x, y, z) are written as (x, z, -y).
+ */
+export default class Obj {
+    /**
+     * Default export options, in addition to {@link MeshBuilder.DEFAULT_OPTIONS}.
+     *
+     * @type {{ scale: number, materialLibrary: string, textureUri: ?function(string):string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Size of one map unit in the exported scene. */
+        scale: 1,
+        /** File name of the material library the OBJ document refers to. */
+        materialLibrary: 'map.mtl',
+        /** Returns the image path of a texture name. Materials are left untextured if not set. */
+        textureUri: null,
+    };
+
+    /**
+     * Writes a map as an OBJ document and its material library.
+     *
+     * @param {DoomMap} map - The map to export.
+     * @param {object} [options] - Overrides for {@link Obj.DEFAULT_OPTIONS} and {@link MeshBuilder.DEFAULT_OPTIONS}.
+     * @returns {{ obj: string, mtl: string }} OBJ source and material library source.
+     */
+    static write(map, options = {}) {
+        const settings = { ...Obj.DEFAULT_OPTIONS, ...options };
+        const surfaces = MeshBuilder.build(map, options);
+
+        const obj = [`mtllib ${settings.materialLibrary}`, `o ${map.metadata.name}`];
+        const mtl = [];
+
+        // Indices in OBJ are 1-based and count across the whole document
+        let base = 1;
+        surfaces.forEach(surface => {
+            const { positions, normals, uvs, indices } = surface;
+            for (let i = 0; i < positions.length; i += 3) {
+                const x = Obj.#format(positions[i] * settings.scale);
+                const y = Obj.#format(positions[i + 2] * settings.scale);
+                const z = Obj.#format(-positions[i + 1] * settings.scale);
+                obj.push(`v ${x} ${y} ${z}`);
+            }
+            for (let i = 0; i < uvs.length; i += 2) {
+                // OBJ texture coordinates start at the bottom of the texture
+                obj.push(`vt ${Obj.#format(uvs[i])} ${Obj.#format(1 - uvs[i + 1])}`);
+            }
+            for (let i = 0; i < normals.length; i += 3) {
+                obj.push(`vn ${Obj.#format(normals[i])} ${Obj.#format(normals[i + 2])} ${Obj.#format(-normals[i + 1])}`);
+            }
+
+            obj.push(`g ${surface.texture}`, `usemtl ${surface.texture}`);
+            for (let i = 0; i < indices.length; i += 3) {
+                const [a, b, c] = [indices[i] + base, indices[i + 1] + base, indices[i + 2] + base];
+                obj.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+            }
+            base += positions.length / 3;
+
+            mtl.push(`newmtl ${surface.texture}`, 'Ka 0 0 0', 'Kd 1 1 1', 'Ks 0 0 0', 'illum 1');
+            if (settings.textureUri !== null) {
+                mtl.push(`map_Kd ${settings.textureUri(surface.texture)}`);
+            }
+            mtl.push('');
+        });
+
+        return { obj: `${obj.join('\n')}\n`, mtl: mtl.join('\n') };
+    }
+
+    /**
+     * Formats a number without exponent notation or needless digits.
+     */
+    static #format(value) {
+        const text = value.toFixed(6).replace(/\.?0+$/, '');
+        return text === '-0' ? '0' : text;
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * Writes a top-down overview of a {@link DoomMap} as an SVG document.
+ *
+ * Sectors are filled by light level, floor height or floor texture, lines are styled
+ * by their sides and flags, and things are drawn as circles with an arrow pointing
+ * in their angle. Selected geometry is highlighted. Elements carry CSS classes, so
+ * the look can be changed with extra style rules.
+ *
+ * SVG is Y down, so map coordinates (x, y) are written as (x, -y).
+ */
+export default class Svg {
+    /** @type {string[]} Sector fill styles. */
+    static FILLS = ['light', 'floor', 'texture', 'none'];
+
+    /** @type {string} Built-in style rules. */
+    static #STYLE = [
+        '.sector { stroke: none; fill-rule: evenodd; }',
+        '.line { stroke-width: 2; stroke-linecap: round; fill: none; }',
+        '.line.one-sided { stroke: #000; stroke-width: 3; }',
+        '.line.two-sided { stroke: #888; }',
+        '.line.impassable { stroke: #d07000; }',
+        '.line.secret { stroke: #a020c0; }',
+        '.line.dont-draw { stroke-dasharray: 8 6; }',
+        '.thing { fill: #3070e0; fill-opacity: 0.6; stroke: #103080; stroke-width: 1.5; }',
+        '.grid { stroke: #000; stroke-opacity: 0.12; stroke-width: 1; }',
+        '.selected { stroke: #ff2020 !important; }',
+        '.sector.selected { fill-opacity: 0.6; stroke-width: 4; }',
+    ].join('\n');
+
+    /**
+     * Default export options.
+     *
+     * @type {{ fill: string, grid: boolean, gridSize: number, padding: number, thingRadius: number,
+     *          thingRadii: Object<number, number>, style: string }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Sector fill style, one of {@link Svg.FILLS}. */
+        fill: 'light',
+        /** Whether to draw the spatial grid. */
+        grid: false,
+        /** Size of the grid cells. {@link DoomMap#exportSvg} uses the cell size of the spatial grid. */
+        gridSize: 128,
+        /** Margin around the map, in map units. */
+        padding: 32,
+        /** Radius of things whose type has no entry in `thingRadii`. */
+        thingRadius: 16,
+        /** Thing radii by thing type. */
+        thingRadii: {},
+        /** Extra CSS rules, added after the built-in ones. */
+        style: '',
+    };
+
+    /**
+     * Writes a map as an SVG document.
+     *
+     * @param {DoomMap} map - The map to export.
+     * @param {object} [options] - Overrides for {@link Svg.DEFAULT_OPTIONS}.
+     * @returns {string} SVG source.
+     * @throws {Error} If the fill style is unknown.
+     */
+    static write(map, options = {}) {
+        const settings = { ...Svg.DEFAULT_OPTIONS, ...options };
+        if (!Svg.FILLS.includes(settings.fill)) {
+            throw new Error(`Unknown sector fill "${settings.fill}"`);
+        }
+
+        // Bounds of everything drawn
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        const extend = (x0, y0, x1, y1) => {
+            minX = Math.min(minX, x0);
+            minY = Math.min(minY, y0);
+            maxX = Math.max(maxX, x1);
+            maxY = Math.max(maxY, y1);
+        };
+        map.iterateVertices(vertex => {
+            extend(vertex.x, vertex.y, vertex.x, vertex.y);
+        });
+        map.iterateThings(thing => {
+            const radius = settings.thingRadii[thing.typeId] ?? settings.thingRadius;
+            extend(thing.x - radius, thing.y - radius, thing.x + radius, thing.y + radius);
+        });
+        if (minX > maxX) {
+            extend(0, 0, 0, 0);
+        }
+        minX -= settings.padding;
+        minY -= settings.padding;
+        maxX += settings.padding;
+        maxY += settings.padding;
+
+        const out = [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${-maxY} ${maxX - minX} ${maxY - minY}" ` +
+                `width="${maxX - minX}" height="${maxY - minY}">`,
+            `<style>\n${Svg.#STYLE}\n${settings.style}</style>`,
+        ];
+
+        // Sectors, with their child sectors cut out
+        const fill = Svg.#sectorFill(map, settings.fill);
+        out.push('<g class="sectors">');
+        map.iterateSectors((sector, selected) => {
+            const loops = [sector.flatXY, ...sector.children.map(child => child.flatXY)];
+            const path = loops.map(Svg.#path).join(' ');
+            const classes = selected ? 'sector selected' : 'sector';
+            out.push(`<path class="${classes}" data-id="${sector.id}" d="${path}" fill="${fill(sector)}"/>`);
+        });
+        out.push('</g>');
+
+        if (settings.grid) {
+            const gridSize = settings.gridSize;
+            out.push('<g class="grid">');
+            for (let x = Math.ceil(minX / gridSize) * gridSize; x <= maxX; x += gridSize) {
+                out.push(`<line x1="${x}" y1="${-maxY}" x2="${x}" y2="${-minY}"/>`);
+            }
+            for (let y = Math.ceil(minY / gridSize) * gridSize; y <= maxY; y += gridSize) {
+                out.push(`<line x1="${minX}" y1="${-y}" x2="${maxX}" y2="${-y}"/>`);
+            }
+            out.push('</g>');
+        }
+
+        out.push('<g class="lines">');
+        map.iterateLines((line, selected) => {
+            const classes = ['line', line.front.sector !== null && line.back.sector !== null ? 'two-sided' : 'one-sided'];
+            if (line.flags.impassable) {
+                classes.push('impassable');
+            }
+            if (line.flags.secret) {
+                classes.push('secret');
+            }
+            if (line.flags.dontDraw) {
+                classes.push('dont-draw');
+            }
+            if (selected) {
+                classes.push('selected');
+            }
+            out.push(`<line class="${classes.join(' ')}" data-id="${line.id}" ` +
+                `x1="${line.v0.x}" y1="${-line.v0.y}" x2="${line.v1.x}" y2="${-line.v1.y}"/>`);
+        });
+        out.push('</g>');
+
+        // Things, with an arrow from the center to the edge in the direction they face
+        out.push('<g class="things">');
+        map.iterateThings((thing, selected) => {
+            const radius = settings.thingRadii[thing.typeId] ?? settings.thingRadius;
+            const angle = thing.angle * Math.PI / 180;
+            const tipX = Svg.#round(thing.x + Math.cos(angle) * radius);
+            const tipY = Svg.#round(-(thing.y + Math.sin(angle) * radius));
+            const classes = selected ? 'thing selected' : 'thing';
+            out.push(`<g class="${classes}" data-id="${thing.id}" data-type="${thing.typeId}">` +
+                `<circle cx="${thing.x}" cy="${-thing.y}" r="${radius}"/>` +
+                `<line x1="${thing.x}" y1="${-thing.y}" x2="${tipX}" y2="${tipY}"/>` +
+                '</g>');
+        });
+        out.push('</g>');
+
+        out.push('</svg>');
+        return `${out.join('\n')}\n`;
+    }
+
+    /**
+     * Converts a flat closed loop into path commands.
+     */
+    static #path(flatXY) {
+        const points = [];
+        for (let i = 0; i < flatXY.length; i += 2) {
+            points.push(`${flatXY[i]},${-flatXY[i + 1]}`);
+        }
+        return `M${points.join(' L')} Z`;
+    }
+
+    static #round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Fills
+
+    /**
+     * Returns a function giving the fill color of a sector for a fill style.
+     */
+    static #sectorFill(map, style) {
+        switch (style) {
+            case 'light':
+                return sector => {
+                    const level = Math.max(0, Math.min(255, sector.properties.lightLevel));
+                    return `rgb(${level},${level},${level})`;
+                };
+            case 'floor': {
+                // From blue for the lowest floor to red for the highest
+                let low = Infinity;
+                let high = -Infinity;
+                map.iterateSectors(sector => {
+                    low = Math.min(low, sector.properties.floorHeight);
+                    high = Math.max(high, sector.properties.floorHeight);
+                });
+                return sector => {
+                    const t = high > low ? (sector.properties.floorHeight - low) / (high - low) : 0.5;
+                    return `hsl(${Math.round(240 * (1 - t))},70%,60%)`;
+                };
+            }
+            case 'texture':
+                return sector => `hsl(${Svg.#hash(sector.properties.floorTexture) % 360},55%,65%)`;
+            default:
+                return () => 'none';
+        }
+    }
+
+    /**
+     * Hashes a string to a non-negative integer (FNV-1a).
+     */
+    static #hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
@@ -0,0 +1,515 @@
+import MapAssembler from './mapassembler.class.js';
+
+/**
+ * Reads and writes maps in the Universal Doom Map Format (UDMF) TEXTMAP syntax.
+ *
+ * Fields that are not modelled by the geometry classes are kept in their
+ * `extra` objects, so they survive a round-trip through a {@link DoomMap}.
+ */
+export default class Udmf {
+    /** @type {string[]} Namespaces supported when writing. */
+    static NAMESPACES = ['doom', 'zdoom'];
+
+    /** @type {Object<string, string>} UDMF linedef flags mapped to line flag names. */
+    static #LINE_FLAGS = {
+        blocking: 'impassable',
+        blockmonsters: 'blockMonsters',
+        twosided: 'twoSided',
+        dontpegtop: 'upperUnpegged',
+        dontpegbottom: 'lowerUnpegged',
+        secret: 'secret',
+        blocksound: 'blockSound',
+        dontdraw: 'dontDraw',
+        mapped: 'mapped',
+    };
+
+    /** @type {Object<string, string>} UDMF sidedef fields mapped to side properties. */
+    static #SIDE_FIELDS = {
+        offsetx: 'xOffset',
+        offsety: 'yOffset',
+        texturetop: 'textureUpper',
+        texturebottom: 'textureLower',
+        texturemiddle: 'textureMiddle',
+    };
+
+    /** @type {Object<string, string>} UDMF sector fields mapped to sector properties. */
+    static #SECTOR_FIELDS = {
+        heightfloor: 'floorHeight',
+        heightceiling: 'ceilingHeight',
+        texturefloor: 'floorTexture',
+        textureceiling: 'ceilingTexture',
+        lightlevel: 'lightLevel',
+        special: 'special',
+        id: 'tag',
+    };
+
+    /** @type {Object<string, string>} UDMF thing fields mapped to thing properties. */
+    static #THING_FIELDS = {
+        x: 'x',
+        y: 'y',
+        height: 'z',
+        angle: 'angle',
+        type: 'typeId',
+    };
+
+    /** @type {Object<string, string>} UDMF thing flags mapped to thing flag names. */
+    static #THING_FLAGS = {
+        skill1: 'easy',
+        skill2: 'easy',
+        skill3: 'medium',
+        skill4: 'hard',
+        skill5: 'hard',
+        ambush: 'ambush',
+        coop: 'cooperative',
+        dm: 'deathmatch',
+        friend: 'friendly',
+        dormant: 'dormant',
+        class1: 'fighter',
+        class2: 'cleric',
+        class3: 'mage',
+    };
+
+    /** @type {string[]} UDMF linedef fields holding the special arguments. */
+    static #ARG_FIELDS = ['arg0', 'arg1', 'arg2', 'arg3', 'arg4'];
+
+    /** @type {Object<string, number>} Default values of optional linedef, sidedef and sector fields. */
+    static #DEFAULTS = {
+        offsetx: 0,
+        offsety: 0,
+        special: 0,
+        id: 0,
+        arg0: 0,
+        arg1: 0,
+        arg2: 0,
+        arg3: 0,
+        arg4: 0,
+    };
+
+    /** @type {Set<string>} Fields written as floating-point values. */
+    static #FLOAT_FIELDS = new Set(['x', 'y', 'height']);
+
+    /** @type {RegExp} Tokenizer for the TEXTMAP grammar. */
+    static #TOKEN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|([+-]?(?:0[xX][0-9a-fA-F]+|[0-9]+\.[0-9]*(?:[eE][+-]?[0-9]+)?|\.[0-9]+(?:[eE][+-]?[0-9]+)?|[0-9]+))|([A-Za-z_][A-Za-z0-9_]*)|([{}=;])/y;
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Document parsing
+
+    /**
+     * Parses a TEXTMAP document into global assignments and blocks.
+     * Identifiers are case-insensitive and returned in lower case.
+     *
+     * @param {string} text - TEXTMAP source.
+     * @returns {{ globals: object, blocks: Array<{type:string, fields:object}> }} The parsed document.
+     * @throws {Error} On syntax errors.
+     */
+    static parse(text) {
+        const tokens = Udmf.#tokenize(text);
+        const globals = {};
+        const blocks = [];
+
+        let i = 0;
+        const expect = (type, value = null) => {
+            const token = tokens[i++];
+            if (token === undefined || token.type !== type || (value !== null && token.value !== value)) {
+                const found = token === undefined ? 'end of file' : `"${token.value}"`;
+                const line = token?.line ?? tokens[tokens.length - 1]?.line ?? 1;
+                throw new Error(`Expected ${value ?? type} but found ${found} on line ${line}`);
+            }
+            return token;
+        };
+
+        const parseValue = () => {
+            const token = tokens[i++];
+            if (token?.type === 'string' || token?.type === 'number') {
+                return token.value;
+            }
+            if (token?.type === 'identifier') {
+                const keyword = token.value.toLowerCase();
+                if (keyword === 'true' || keyword === 'false') {
+                    return keyword === 'true';
+                }
+                return token.value;
+            }
+            throw new Error(`Expected a value on line ${token?.line ?? 'end of file'}`);
+        };
+
+        while (i < tokens.length) {
+            const key = expect('identifier').value.toLowerCase();
+
+            if (tokens[i]?.value === '{') {
+                i++;
+                const fields = {};
+                while (tokens[i]?.value !== '}') {
+                    const field = expect('identifier').value.toLowerCase();
+                    expect('symbol', '=');
+                    fields[field] = parseValue();
+                    expect('symbol', ';');
+                }
+                expect('symbol', '}');
+                blocks.push({ type: key, fields });
+            } else {
+                expect('symbol', '=');
+                globals[key] = parseValue();
+                expect('symbol', ';');
+            }
+        }
+
+        return { globals, blocks };
+    }
+
+    static #tokenize(text) {
+        const tokens = [];
+        const regex = new RegExp(Udmf.#TOKEN.source, 'y');
+
+        let line = 1;
+        while (regex.lastIndex < text.length) {
+            const start = regex.lastIndex;
+            const match = regex.exec(text);
+            if (match === null) {
+                throw new Error(`Unexpected character "${text[start]}" on line ${line}`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'string', value: match[1].replace(/\\(.)/g, '$1'), line });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'number', value: Number(match[2]), line });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'identifier', value: match[3], line });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'symbol', value: match[4], line });
+            }
+
+            line += match[0].split('\n').length - 1;
+        }
+
+        return tokens;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Map import
+
+    /**
+     * Loads a TEXTMAP document into a {@link DoomMap}, replacing its contents.
+     *
+     * @param {string} text - TEXTMAP source.
+     * @param {DoomMap} map - Map to load into.
+     * @returns {{ map: DoomMap, namespace: ?string, errors: Array<{code:string, lump:string, message:string}> }}
+     *          The loaded map, the document namespace and any errors encountered.
+     */
+    static read(text, map) {
+        const errors = [];
+        const result = { map, namespace: null, errors };
+
+        const error = (code, message) => {
+            errors.push({ code, lump: 'TEXTMAP', message });
+        };
+
+        let document;
+        try {
+            document = Udmf.parse(text);
+        } catch (e) {
+            error('syntax-error', e.message);
+            return result;
+        }
+
+        const { namespace, ...globals } = document.globals;
+        if (typeof namespace !== 'string') {
+            error('missing-namespace', 'TEXTMAP has no namespace');
+        } else {
+            result.namespace = namespace.toLowerCase();
+        }
+
+        const vertices = [];
+        const linedefs = [];
+        const sidedefs = [];
+        const sectors = [];
+        const things = [];
+
+        document.blocks.forEach(({ type, fields }) => {
+            switch (type) {
+                case 'vertex':
+                    vertices.push(Udmf.#readVertex(fields));
+                    break;
+                case 'linedef':
+                    linedefs.push(Udmf.#readLinedef(fields));
+                    break;
+                case 'sidedef':
+                    sidedefs.push(Udmf.#readSidedef(fields));
+                    break;
+                case 'sector':
+                    sectors.push(Udmf.#readSector(fields));
+                    break;
+                case 'thing':
+                    things.push(Udmf.#readThing(fields));
+                    break;
+                default:
+                    error('unknown-block', `Ignoring unsupported block type "${type}"`);
+                    break;
+            }
+        });
+
+        const data = MapAssembler.assemble({ vertices, sectors, sidedefs, linedefs }, (code, lump, message) => {
+            error(code, message);
+        });
+        data.things = things;
+        data.metadata = { ...map.metadata, extra: globals };
+
+        try {
+            map.deserialize(data);
+        } catch (e) {
+            error('invalid-geometry', e.message);
+        }
+
+        return result;
+    }
+
+    /**
+     * Splits UDMF fields into mapped properties and preserved extra fields.
+     */
+    static #readFields(fields, mapping, reserved = []) {
+        const properties = {};
+        const extra = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (key in mapping) {
+                properties[mapping[key]] = value;
+            } else if (!reserved.includes(key)) {
+                extra[key] = value;
+            }
+        });
+        return { properties, extra };
+    }
+
+    static #readTexture(name) {
+        return name === undefined || name === '-' ? '' : String(name).toUpperCase();
+    }
+
+    static #readVertex(fields) {
+        const { x, y, ...extra } = fields;
+        return { x: Math.round(x ?? 0), y: Math.round(y ?? 0), extra };
+    }
+
+    static #readLinedef(fields) {
+        const { properties, extra } = Udmf.#readFields(fields, Udmf.#LINE_FLAGS,
+            ['v1', 'v2', 'sidefront', 'sideback', 'special', 'id', ...Udmf.#ARG_FIELDS]);
+
+        const flags = {};
+        Object.values(Udmf.#LINE_FLAGS).forEach(flag => {
+            flags[flag] = properties[flag] === true;
+        });
+
+        return {
+            v0: fields.v1 ?? -1,
+            v1: fields.v2 ?? -1,
+            front: fields.sidefront ?? -1,
+            back: fields.sideback ?? -1,
+            flags,
+            special: fields.special ?? 0,
+            tag: fields.id ?? 0,
+            args: Udmf.#ARG_FIELDS.map(key => fields[key] ?? 0),
+            extra,
+        };
+    }
+
+    static #readSidedef(fields) {
+        const { properties, extra } = Udmf.#readFields(fields, Udmf.#SIDE_FIELDS, ['sector']);
+        return {
+            textureUpper: Udmf.#readTexture(properties.textureUpper),
+            textureMiddle: Udmf.#readTexture(properties.textureMiddle),
+            textureLower: Udmf.#readTexture(properties.textureLower),
+            xOffset: properties.xOffset ?? 0,
+            yOffset: properties.yOffset ?? 0,
+            sector: fields.sector ?? -1,
+            extra,
+        };
+    }
+
+    static #readSector(fields) {
+        const { properties, extra } = Udmf.#readFields(fields, Udmf.#SECTOR_FIELDS);
+        return {
+            floorHeight: properties.floorHeight ?? 0,
+            ceilingHeight: properties.ceilingHeight ?? 0,
+            floorTexture: Udmf.#readTexture(properties.floorTexture),
+            ceilingTexture: Udmf.#readTexture(properties.ceilingTexture),
+            lightLevel: properties.lightLevel ?? 160,
+            special: properties.special ?? 0,
+            tag: properties.tag ?? 0,
+            extra,
+        };
+    }
+
+    static #readThing(fields) {
+        const { properties, extra } = Udmf.#readFields(fields, Udmf.#THING_FIELDS,
+            ['single', ...Object.keys(Udmf.#THING_FLAGS)]);
+
+        // A flag is set if any of its UDMF fields is, e.g. skill1 or skill2 for "easy"
+        const flags = { notSinglePlayer: fields.single !== true };
+        Object.entries(Udmf.#THING_FLAGS).forEach(([key, flag]) => {
+            flags[flag] = flags[flag] === true || fields[key] === true;
+        });
+
+        return {
+            x: Math.round(properties.x ?? 0),
+            y: Math.round(properties.y ?? 0),
+            z: properties.z ?? 0,
+            typeId: properties.typeId ?? 0,
+            angle: properties.angle ?? 0,
+            flags,
+            extra,
+        };
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Map export
+
+    /**
+     * Writes a {@link DoomMap} as a TEXTMAP document.
+     *
+     * @param {DoomMap} map - The map to export.
+     * @param {string} [namespace='zdoom'] - Target namespace, one of {@link Udmf.NAMESPACES}.
+     * @returns {string} TEXTMAP source.
+     * @throws {Error} If the namespace is unsupported or a line has no sector on either side.
+     */
+    static write(map, namespace = 'zdoom') {
+        if (!Udmf.NAMESPACES.includes(namespace)) {
+            throw new Error(`Unsupported UDMF namespace "${namespace}"`);
+        }
+
+        const out = [];
+        const writeBlock = (type, index, fields) => {
+            out.push(`${type} // ${index}`, '{');
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value !== undefined && value !== false) {
+                    out.push(`${key} = ${Udmf.#formatValue(key, value)};`);
+                }
+            });
+            out.push('}', '');
+        };
+
+        out.push(`namespace = ${Udmf.#formatValue('namespace', namespace)};`);
+        Object.entries(map.metadata.extra ?? {}).forEach(([key, value]) => {
+            out.push(`${key} = ${Udmf.#formatValue(key, value)};`);
+        });
+        out.push('');
+
+        const vertexIndices = new Map();
+        map.iterateVertices(vertex => {
+            writeBlock('vertex', vertexIndices.size, { x: vertex.x, y: vertex.y, ...vertex.extra });
+            vertexIndices.set(vertex, vertexIndices.size);
+        });
+
+        const sectors = [];
+        const sectorIndices = new Map();
+        map.iterateSectors(sector => {
+            sectorIndices.set(sector, sectors.length);
+            sectors.push(sector);
+        });
+
+        const sidedefs = [];
+        let lineIndex = 0;
+        map.iterateLines(line => {
+            // The front side lies left of v0 -> v1, whereas UDMF puts the front sidedef
+            // on the right of the linedef, so linedefs run from v1 to v0
+            let v0 = line.v1;
+            let v1 = line.v0;
+            let front = line.front;
+            let back = line.back;
+
+            if (front.sector === null && back.sector !== null) {
+                [v0, v1] = [v1, v0];
+                [front, back] = [back, front];
+            }
+
+            if (front.sector === null) {
+                throw new Error(`Line (${line.v0.x}, ${line.v0.y}) - (${line.v1.x}, ${line.v1.y}) has no sector on either side`);
+            }
+
+            const fields = { v1: vertexIndices.get(v0), v2: vertexIndices.get(v1) };
+
+            fields.sidefront = sidedefs.length;
+            sidedefs.push(front);
+            if (back.sector !== null) {
+                fields.sideback = sidedefs.length;
+                sidedefs.push(back);
+            }
+
+            Object.entries(Udmf.#LINE_FLAGS).forEach(([key, flag]) => {
+                fields[key] = line.flags[flag];
+            });
+
+            fields.special = line.special;
+            fields.id = line.tag;
+            Udmf.#ARG_FIELDS.forEach((key, i) => {
+                fields[key] = line.args[i];
+            });
+
+            writeBlock('linedef', lineIndex++, { ...Udmf.#writeDefaults(fields), ...line.extra });
+        });
+
+        sidedefs.forEach((side, i) => {
+            const fields = {};
+            Object.entries(Udmf.#SIDE_FIELDS).forEach(([key, property]) => {
+                fields[key] = side[property];
+            });
+            writeBlock('sidedef', i, {
+                sector: sectorIndices.get(side.sector),
+                ...Udmf.#writeDefaults(fields),
+                ...side.extra,
+            });
+        });
+
+        sectors.forEach((sector, i) => {
+            const fields = {};
+            Object.entries(Udmf.#SECTOR_FIELDS).forEach(([key, property]) => {
+                fields[key] = sector.properties[property];
+            });
+            writeBlock('sector', i, { ...Udmf.#writeDefaults(fields), ...sector.properties.extra });
+        });
+
+        let thingIndex = 0;
+        map.iterateThings(thing => {
+            const fields = {};
+            Object.entries(Udmf.#THING_FIELDS).forEach(([key, property]) => {
+                fields[key] = thing[property];
+            });
+            // The base Doom namespace has no thing heights
+            if (namespace === 'doom') {
+                delete fields.height;
+            }
+            Object.entries(Udmf.#THING_FLAGS).forEach(([key, flag]) => {
+                fields[key] = thing.flags[flag];
+            });
+            fields.single = !thing.flags.notSinglePlayer;
+            writeBlock('thing', thingIndex++, { ...fields, ...thing.extra });
+        });
+
+        return out.join('\n');
+    }
+
+    /**
+     * Drops fields equal to their UDMF default and writes empty textures as "-".
+     */
+    static #writeDefaults(fields) {
+        const result = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (key.startsWith('texture')) {
+                result[key] = value === '' ? '-' : value;
+            } else if (!(key in Udmf.#DEFAULTS) || Udmf.#DEFAULTS[key] !== value) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    static #formatValue(key, value) {
+        if (typeof value === 'string') {
+            return `"${value.replace(/["\\]/g, '\\$&')}"`;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+        if (Udmf.#FLOAT_FIELDS.has(key) && Number.isInteger(value)) {
+            return value.toFixed(1);
+        }
+        return String(value);
+    }
+}
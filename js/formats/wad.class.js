@@ -0,0 +1,188 @@
+/**
+ * In-memory WAD archive made of an ordered list of named lumps.
+ */
+export default class Wad {
+    /** @type {number} Size of the WAD header in bytes. */
+    static #HEADER_SIZE = 12;
+    /** @type {number} Size of a single directory entry in bytes. */
+    static #DIRECTORY_ENTRY_SIZE = 16;
+    /** @type {number} Maximum length of a lump or texture name. */
+    static NAME_LENGTH = 8;
+
+    #type = 'PWAD';
+    /** @type {string} Archive type, either "IWAD" or "PWAD" (read-only). */
+    get type() {
+        return this.#type;
+    }
+
+    #lumps = [];
+    /** @type {Array<{name:string, data:Uint8Array}>} Lumps in directory order (read-only). */
+    get lumps() {
+        return this.#lumps;
+    }
+
+    /**
+     * Constructs a new empty WAD.
+     *
+     * @param {string} [type='PWAD'] - Archive type, "IWAD" or "PWAD".
+     */
+    constructor(type = 'PWAD') {
+        if (type !== 'IWAD' && type !== 'PWAD') {
+            throw new Error(`Invalid WAD type "${type}"`);
+        }
+        this.#type = type;
+    }
+
+    /**
+     * Parses a binary WAD file.
+     *
+     * @param {ArrayBuffer} buffer - The WAD file contents.
+     * @returns {Wad} The parsed WAD.
+     * @throws {Error} If the header or directory is malformed.
+     */
+    static fromArrayBuffer(buffer) {
+        if (buffer.byteLength < Wad.#HEADER_SIZE) {
+            throw new Error('WAD file is too small to contain a header');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        const type = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+        if (type !== 'IWAD' && type !== 'PWAD') {
+            throw new Error(`Invalid WAD identification "${type}"`);
+        }
+
+        const count = view.getInt32(4, true);
+        const directoryOffset = view.getInt32(8, true);
+        const directoryEnd = directoryOffset + count * Wad.#DIRECTORY_ENTRY_SIZE;
+        if (count < 0 || directoryOffset < 0 || directoryEnd > buffer.byteLength) {
+            throw new Error('WAD directory lies outside the file');
+        }
+
+        const wad = new Wad(type);
+
+        for (let i = 0; i < count; i++) {
+            const entry = directoryOffset + i * Wad.#DIRECTORY_ENTRY_SIZE;
+            const offset = view.getInt32(entry, true);
+            const size = view.getInt32(entry + 4, true);
+            const name = Wad.decodeName(bytes, entry + 8).toUpperCase();
+
+            if (size < 0 || (size > 0 && (offset < 0 || offset + size > buffer.byteLength))) {
+                throw new Error(`Lump ${i} "${name}" lies outside the file`);
+            }
+
+            wad.#lumps.push({ name, data: bytes.slice(offset, offset + size) });
+        }
+
+        return wad;
+    }
+
+    /**
+     * Encodes a name into a zero-padded 8 byte field.
+     *
+     * @param {string} name - Lump or texture name.
+     * @param {Uint8Array} bytes - Destination buffer.
+     * @param {number} offset - Byte offset in the destination buffer.
+     */
+    static encodeName(name, bytes, offset) {
+        if (name.length > Wad.NAME_LENGTH) {
+            throw new Error(`Name "${name}" is longer than ${Wad.NAME_LENGTH} characters`);
+        }
+
+        for (let i = 0; i < Wad.NAME_LENGTH; i++) {
+            const code = i < name.length ? name.charCodeAt(i) : 0;
+            if (code > 0x7f) {
+                throw new Error(`Name "${name}" contains non-ASCII characters`);
+            }
+            bytes[offset + i] = code;
+        }
+    }
+
+    /**
+     * Decodes a zero-padded 8 byte name field.
+     *
+     * @param {Uint8Array} bytes - Source buffer.
+     * @param {number} offset - Byte offset in the source buffer.
+     * @returns {string} The decoded name.
+     */
+    static decodeName(bytes, offset) {
+        let name = '';
+        for (let i = 0; i < Wad.NAME_LENGTH; i++) {
+            const code = bytes[offset + i];
+            if (code === 0) {
+                break;
+            }
+            name += String.fromCharCode(code);
+        }
+        return name;
+    }
+
+    /**
+     * Appends a lump to the end of the directory.
+     *
+     * @param {string} name - Lump name (up to 8 characters).
+     * @param {Uint8Array} [data] - Lump contents. Defaults to an empty (marker) lump.
+     * @returns {number} Index of the new lump.
+     */
+    addLump(name, data = new Uint8Array(0)) {
+        if (name.length === 0 || name.length > Wad.NAME_LENGTH) {
+            throw new Error(`Invalid lump name "${name}"`);
+        }
+
+        this.#lumps.push({ name: name.toUpperCase(), data });
+        return this.#lumps.length - 1;
+    }
+
+    /**
+     * Finds the index of the first lump with the given name.
+     *
+     * @param {string} name - Lump name.
+     * @param {number} [start=0] - Index to start searching from.
+     * @returns {number} Lump index, or -1 if not found.
+     */
+    findLump(name, start = 0) {
+        const upper = name.toUpperCase();
+        for (let i = start; i < this.#lumps.length; i++) {
+            if (this.#lumps[i].name === upper) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Writes the archive into a binary WAD file.
+     *
+     * @returns {ArrayBuffer} The WAD file contents.
+     */
+    toArrayBuffer() {
+        const dataSize = this.#lumps.reduce((sum, lump) => sum + lump.data.length, 0);
+        const directoryOffset = Wad.#HEADER_SIZE + dataSize;
+        const size = directoryOffset + this.#lumps.length * Wad.#DIRECTORY_ENTRY_SIZE;
+
+        const buffer = new ArrayBuffer(size);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < 4; i++) {
+            bytes[i] = this.#type.charCodeAt(i);
+        }
+        view.setInt32(4, this.#lumps.length, true);
+        view.setInt32(8, directoryOffset, true);
+
+        let offset = Wad.#HEADER_SIZE;
+        this.#lumps.forEach((lump, i) => {
+            bytes.set(lump.data, offset);
+
+            const entry = directoryOffset + i * Wad.#DIRECTORY_ENTRY_SIZE;
+            view.setInt32(entry, lump.data.length > 0 ? offset : 0, true);
+            view.setInt32(entry + 4, lump.data.length, true);
+            Wad.encodeName(lump.name, bytes, entry + 8);
+
+            offset += lump.data.length;
+        });
+
+        return buffer;
+    }
+}
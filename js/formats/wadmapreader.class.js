@@ -0,0 +1,364 @@
+import DoomMap from '../doommap.class.js';
+import MapAssembler from './mapassembler.class.js';
+import Udmf from './udmf.class.js';
+import Wad from './wad.class.js';
+import WadMapWriter from './wadmapwriter.class.js';
+
+/**
+ * Reads vanilla Doom and Hexen format binary map lumps, as well as UDMF
+ * TEXTMAP lumps, into a {@link DoomMap}.
+ *
+ * Problems found in the data are collected as structured errors
+ * (`{ code, lump, message }`) and the offending entries are skipped,
+ * so a damaged map loads as far as possible instead of throwing halfway.
+ */
+export default class WadMapReader {
+    /** @type {number} Size of a Doom format THINGS entry in bytes. */
+    static #THING_SIZE = 10;
+    /** @type {number} Size of a Hexen format THINGS entry in bytes. */
+    static #HEXEN_THING_SIZE = 20;
+    /** @type {number} Size of a Doom format LINEDEFS entry in bytes. */
+    static #LINEDEF_SIZE = 14;
+    /** @type {number} Size of a Hexen format LINEDEFS entry in bytes. */
+    static #HEXEN_LINEDEF_SIZE = 16;
+    /** @type {number} Size of a SIDEDEFS entry in bytes. */
+    static #SIDEDEF_SIZE = 30;
+    /** @type {number} Size of a VERTEXES entry in bytes. */
+    static #VERTEX_SIZE = 4;
+    /** @type {number} Size of a SECTORS entry in bytes. */
+    static #SECTOR_SIZE = 26;
+
+    /** @type {number} Index value meaning "no sidedef" in LINEDEFS. */
+    static #NO_SIDEDEF = 0xffff;
+
+    /** @type {Object<string, number>} Thing flag names mapped to the Hexen thing bitfield. */
+    static #HEXEN_THING_FLAG_BITS = {
+        easy: 0x0001,
+        medium: 0x0002,
+        hard: 0x0004,
+        ambush: 0x0008,
+        dormant: 0x0010,
+        fighter: 0x0020,
+        cleric: 0x0040,
+        mage: 0x0080,
+        cooperative: 0x0200,
+        deathmatch: 0x0400,
+    };
+
+    /** @type {number} Hexen thing bit for appearing in single player games. */
+    static #HEXEN_SINGLE_PLAYER_BIT = 0x0100;
+
+    /** @type {number} Hexen linedef bit for specials that can be activated more than once. */
+    static #HEXEN_REPEAT_BIT = 0x0200;
+
+    /** @type {number} Hexen linedef bits holding how the special is activated. */
+    static #HEXEN_ACTIVATION_MASK = 0x1c00;
+
+    /** @type {string[]} UDMF linedef fields for each Hexen activation type, kept in `extra`. */
+    static #HEXEN_ACTIVATIONS = ['playercross', 'playeruse', 'monstercross', 'impact', 'playerpush', 'missilecross'];
+
+    /** @type {Set<string>} Lumps that may follow a binary map marker. */
+    static #MAP_LUMPS = new Set([
+        'THINGS', 'LINEDEFS', 'SIDEDEFS', 'VERTEXES', 'SEGS', 'SSECTORS',
+        'NODES', 'SECTORS', 'REJECT', 'BLOCKMAP', 'BEHAVIOR', 'SCRIPTS',
+    ]);
+
+    /** @type {string[]} Lumps without which no map can be built. */
+    static #REQUIRED_LUMPS = ['THINGS', 'LINEDEFS', 'SIDEDEFS', 'VERTEXES', 'SECTORS'];
+
+    /**
+     * Reads a map from a WAD and loads it into a {@link DoomMap}.
+     *
+     * @param {Wad} wad - The WAD containing the map.
+     * @param {string} name - Name of the map marker lump (e.g. "MAP01" or "E1M1").
+     * @param {DoomMap} [map] - Map to load into. A new map is created if omitted.
+     * @returns {{ map: DoomMap, format: ?string, errors: Array<{code:string, lump:string, message:string}> }}
+     *          The loaded map, the detected format ("doom", "hexen" or "udmf") and any errors encountered.
+     */
+    static read(wad, name, map = new DoomMap()) {
+        const errors = [];
+        const result = { map, format: null, errors };
+
+        const error = (code, lump, message) => {
+            errors.push({ code, lump, message });
+        };
+
+        const marker = wad.findLump(name);
+        if (marker === -1) {
+            error('missing-map', name, `Map "${name}" not found`);
+            return result;
+        }
+
+        // Text maps are stored as TEXTMAP ... ENDMAP
+        if (wad.lumps[marker + 1]?.name === 'TEXTMAP') {
+            result.format = 'udmf';
+            const text = new TextDecoder().decode(wad.lumps[marker + 1].data);
+            errors.push(...Udmf.read(text, map).errors);
+            map.metadata.name = name.toUpperCase();
+            return result;
+        }
+
+        // Collect the lumps belonging to this map, which end at the first unrelated lump
+        const lumps = new Map();
+        for (let i = marker + 1; i < wad.lumps.length; i++) {
+            const lump = wad.lumps[i];
+            if (!WadMapReader.#MAP_LUMPS.has(lump.name)) {
+                if (i === marker + 1) {
+                    error('unknown-lump', lump.name, `Unsupported lump "${lump.name}" after map marker "${name}"`);
+                }
+                break;
+            }
+            if (lumps.has(lump.name)) {
+                error('duplicate-lump', lump.name, `Lump "${lump.name}" appears more than once in map "${name}"`);
+                continue;
+            }
+            lumps.set(lump.name, lump.data);
+        }
+
+        const missing = WadMapReader.#REQUIRED_LUMPS.filter(lumpName => !lumps.has(lumpName));
+        if (missing.length > 0) {
+            missing.forEach(lumpName => {
+                error('missing-lump', lumpName, `Map "${name}" has no ${lumpName} lump`);
+            });
+            return result;
+        }
+
+        const hexen = lumps.has('BEHAVIOR');
+        result.format = hexen ? 'hexen' : 'doom';
+
+        const vertices = WadMapReader.#readVertexes(lumps.get('VERTEXES'), error);
+        const sectors = WadMapReader.#readSectors(lumps.get('SECTORS'), error);
+        const sidedefs = WadMapReader.#readSidedefs(lumps.get('SIDEDEFS'), error);
+        const linedefs = hexen
+            ? WadMapReader.#readHexenLinedefs(lumps.get('LINEDEFS'), error)
+            : WadMapReader.#readLinedefs(lumps.get('LINEDEFS'), error);
+        const things = hexen
+            ? WadMapReader.#readHexenThings(lumps.get('THINGS'), error)
+            : WadMapReader.#readThings(lumps.get('THINGS'), error);
+
+        const data = MapAssembler.assemble({ vertices, sectors, sidedefs, linedefs }, error);
+        data.things = things;
+        data.metadata = { ...map.metadata, name: name.toUpperCase() };
+
+        try {
+            map.deserialize(data);
+        } catch (e) {
+            error('invalid-geometry', name, e.message);
+        }
+
+        return result;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Lump decoders
+
+    static #recordCount(lumpName, data, size, error) {
+        if (data.length % size !== 0) {
+            error('invalid-lump-size', lumpName,
+                `${lumpName} size ${data.length} is not a multiple of ${size}, ignoring trailing bytes`);
+        }
+        return Math.floor(data.length / size);
+    }
+
+    static #readTexture(bytes, offset) {
+        const name = Wad.decodeName(bytes, offset).toUpperCase();
+        return name === '-' ? '' : name;
+    }
+
+    static #readLineFlags(bits) {
+        const flags = {};
+        Object.entries(WadMapWriter.LINE_FLAG_BITS).forEach(([flag, bit]) => {
+            flags[flag] = (bits & bit) !== 0;
+        });
+        return flags;
+    }
+
+    static #readThingFlags(bits) {
+        const flags = {};
+        Object.entries(WadMapWriter.THING_FLAG_BITS).forEach(([flag, bit]) => {
+            flags[flag] = (bits & bit) !== 0;
+        });
+        Object.entries(WadMapWriter.THING_INVERTED_FLAG_BITS).forEach(([flag, bit]) => {
+            flags[flag] = (bits & bit) === 0;
+        });
+        return flags;
+    }
+
+    static #readHexenThingFlags(bits) {
+        const flags = {};
+        Object.entries(WadMapReader.#HEXEN_THING_FLAG_BITS).forEach(([flag, bit]) => {
+            flags[flag] = (bits & bit) !== 0;
+        });
+        flags.notSinglePlayer = (bits & WadMapReader.#HEXEN_SINGLE_PLAYER_BIT) === 0;
+        return flags;
+    }
+
+    static #readSidedefIndex(index) {
+        return index === WadMapReader.#NO_SIDEDEF ? -1 : index;
+    }
+
+    static #readVertexes(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('VERTEXES', bytes, WadMapReader.#VERTEX_SIZE, error);
+
+        const vertices = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#VERTEX_SIZE;
+            vertices.push({
+                x: view.getInt16(offset, true),
+                y: view.getInt16(offset + 2, true),
+            });
+        }
+        return vertices;
+    }
+
+    static #readSectors(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('SECTORS', bytes, WadMapReader.#SECTOR_SIZE, error);
+
+        const sectors = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#SECTOR_SIZE;
+            sectors.push({
+                floorHeight: view.getInt16(offset, true),
+                ceilingHeight: view.getInt16(offset + 2, true),
+                floorTexture: Wad.decodeName(bytes, offset + 4).toUpperCase(),
+                ceilingTexture: Wad.decodeName(bytes, offset + 12).toUpperCase(),
+                lightLevel: view.getInt16(offset + 20, true),
+                special: view.getInt16(offset + 22, true),
+                tag: view.getInt16(offset + 24, true),
+            });
+        }
+        return sectors;
+    }
+
+    static #readSidedefs(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('SIDEDEFS', bytes, WadMapReader.#SIDEDEF_SIZE, error);
+
+        const sidedefs = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#SIDEDEF_SIZE;
+            sidedefs.push({
+                xOffset: view.getInt16(offset, true),
+                yOffset: view.getInt16(offset + 2, true),
+                textureUpper: WadMapReader.#readTexture(bytes, offset + 4),
+                textureLower: WadMapReader.#readTexture(bytes, offset + 12),
+                textureMiddle: WadMapReader.#readTexture(bytes, offset + 20),
+                sector: view.getUint16(offset + 28, true),
+            });
+        }
+        return sidedefs;
+    }
+
+    static #readLinedefs(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('LINEDEFS', bytes, WadMapReader.#LINEDEF_SIZE, error);
+
+        const linedefs = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#LINEDEF_SIZE;
+            linedefs.push({
+                v0: view.getUint16(offset, true),
+                v1: view.getUint16(offset + 2, true),
+                flags: WadMapReader.#readLineFlags(view.getUint16(offset + 4, true)),
+                special: view.getUint16(offset + 6, true),
+                tag: view.getUint16(offset + 8, true),
+                args: [0, 0, 0, 0, 0],
+                front: WadMapReader.#readSidedefIndex(view.getUint16(offset + 10, true)),
+                back: WadMapReader.#readSidedefIndex(view.getUint16(offset + 12, true)),
+            });
+        }
+        return linedefs;
+    }
+
+    static #readHexenLinedefs(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('LINEDEFS', bytes, WadMapReader.#HEXEN_LINEDEF_SIZE, error);
+
+        const linedefs = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#HEXEN_LINEDEF_SIZE;
+            const bits = view.getUint16(offset + 4, true);
+            const special = view.getUint8(offset + 6);
+
+            // Activation and repeat bits have no Doom equivalent, they are kept as UDMF fields
+            const extra = {};
+            const activation = (bits & WadMapReader.#HEXEN_ACTIVATION_MASK) >> 10;
+            if (activation >= WadMapReader.#HEXEN_ACTIVATIONS.length) {
+                error('invalid-activation', 'LINEDEFS', `Linedef ${i} has unknown activation type ${activation}`);
+            } else if (special !== 0 || activation !== 0) {
+                extra[WadMapReader.#HEXEN_ACTIVATIONS[activation]] = true;
+            }
+            if ((bits & WadMapReader.#HEXEN_REPEAT_BIT) !== 0) {
+                extra.repeatspecial = true;
+            }
+
+            linedefs.push({
+                v0: view.getUint16(offset, true),
+                v1: view.getUint16(offset + 2, true),
+                flags: WadMapReader.#readLineFlags(bits),
+                special,
+                tag: 0,
+                args: Array.from(bytes.subarray(offset + 7, offset + 12)),
+                front: WadMapReader.#readSidedefIndex(view.getUint16(offset + 12, true)),
+                back: WadMapReader.#readSidedefIndex(view.getUint16(offset + 14, true)),
+                extra,
+            });
+        }
+        return linedefs;
+    }
+
+    static #readThings(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('THINGS', bytes, WadMapReader.#THING_SIZE, error);
+
+        const things = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#THING_SIZE;
+            things.push({
+                x: view.getInt16(offset, true),
+                y: view.getInt16(offset + 2, true),
+                z: 0,
+                angle: view.getInt16(offset + 4, true),
+                typeId: view.getInt16(offset + 6, true),
+                flags: WadMapReader.#readThingFlags(view.getUint16(offset + 8, true)),
+            });
+        }
+        return things;
+    }
+
+    static #readHexenThings(bytes, error) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = WadMapReader.#recordCount('THINGS', bytes, WadMapReader.#HEXEN_THING_SIZE, error);
+
+        const things = [];
+        for (let i = 0; i < count; i++) {
+            const offset = i * WadMapReader.#HEXEN_THING_SIZE;
+
+            // Thing IDs and specials are not modelled, they are kept as UDMF fields when set
+            const extra = {};
+            const fields = {
+                id: view.getInt16(offset, true),
+                special: view.getUint8(offset + 14),
+                ...Object.fromEntries([0, 1, 2, 3, 4].map(arg => [`arg${arg}`, view.getUint8(offset + 15 + arg)])),
+            };
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value !== 0) {
+                    extra[key] = value;
+                }
+            });
+
+            things.push({
+                x: view.getInt16(offset + 2, true),
+                y: view.getInt16(offset + 4, true),
+                z: view.getInt16(offset + 6, true),
+                angle: view.getInt16(offset + 8, true),
+                typeId: view.getInt16(offset + 10, true),
+                flags: WadMapReader.#readHexenThingFlags(view.getUint16(offset + 12, true)),
+                extra,
+            });
+        }
+        return things;
+    }
+}
@@ -0,0 +1,380 @@
+import BlockmapBuilder from '../builders/blockmapbuilder.class.js';
+import NodeBuilder from '../builders/nodebuilder.class.js';
+import RejectBuilder from '../builders/rejectbuilder.class.js';
+import Wad from './wad.class.js';
+
+/**
+ * Writes a {@link DoomMap} as vanilla Doom binary map lumps.
+ */
+export default class WadMapWriter {
+    /** @type {number} Size of a THINGS entry in bytes. */
+    static #THING_SIZE = 10;
+    /** @type {number} Size of a LINEDEFS entry in bytes. */
+    static #LINEDEF_SIZE = 14;
+    /** @type {number} Size of a SIDEDEFS entry in bytes. */
+    static #SIDEDEF_SIZE = 30;
+    /** @type {number} Size of a VERTEXES entry in bytes. */
+    static #VERTEX_SIZE = 4;
+    /** @type {number} Size of a SECTORS entry in bytes. */
+    static #SECTOR_SIZE = 26;
+
+    /** @type {number} Index value meaning "no sidedef" in LINEDEFS. */
+    static #NO_SIDEDEF = 0xffff;
+    /** @type {number} Maximum number of entries addressable by a 16-bit index. */
+    static #MAX_COUNT = 0xffff;
+
+    /** @type {Object<string, number>} Line flag names mapped to the Doom linedef bitfield. */
+    static LINE_FLAG_BITS = {
+        impassable: 0x0001,
+        blockMonsters: 0x0002,
+        twoSided: 0x0004,
+        upperUnpegged: 0x0008,
+        lowerUnpegged: 0x0010,
+        secret: 0x0020,
+        blockSound: 0x0040,
+        dontDraw: 0x0080,
+        mapped: 0x0100,
+    };
+
+    /** @type {Object<string, number>} Thing flag names mapped to the Doom thing bitfield. */
+    static THING_FLAG_BITS = {
+        easy: 0x0001,
+        medium: 0x0002,
+        hard: 0x0004,
+        ambush: 0x0008,
+        notSinglePlayer: 0x0010,
+        friendly: 0x0080,
+    };
+
+    /** @type {Object<string, number>} Thing flag names mapped to the Boom bits set when the flag is off. */
+    static THING_INVERTED_FLAG_BITS = {
+        deathmatch: 0x0020,
+        cooperative: 0x0040,
+    };
+
+    /** @type {string[]} Lumps following the map marker, in the order engines expect them. */
+    static #LUMP_ORDER = [
+        'THINGS', 'LINEDEFS', 'SIDEDEFS', 'VERTEXES', 'SEGS',
+        'SSECTORS', 'NODES', 'SECTORS', 'REJECT', 'BLOCKMAP',
+    ];
+
+    /**
+     * Writes the map into a WAD as a marker lump named after `metadata.name`
+     * followed by the standard map lumps. Node, reject and blockmap lumps are left empty
+     * unless the corresponding option is set.
+     *
+     * @param {DoomMap} map - The map to export.
+     * @param {Wad} [wad] - WAD to append the map to. A new PWAD is created if omitted.
+     * @param {object} [options] - Export options.
+     * @param {boolean|object} [options.nodes=false] - Build nodes, either `true` or {@link NodeBuilder} options.
+     *        GL nodes are written after the map under a "GL_" marker when the node options enable `gl`.
+     * @param {boolean|object} [options.reject=false] - Build the reject table, either `true` or {@link RejectBuilder} options.
+     * @param {boolean} [options.blockmap=false] - Build the blockmap.
+     * @returns {Wad} The WAD containing the map.
+     * @throws {Error} If the map exceeds the limits of the format.
+     */
+    static write(map, wad = new Wad('PWAD'), options = {}) {
+        const name = map.metadata.name;
+        if (name.length === 0 || name.length > Wad.NAME_LENGTH) {
+            throw new Error(`Map name "${name}" must be 1 to ${Wad.NAME_LENGTH} characters long`);
+        }
+
+        const vertices = [];
+        const vertexIndices = new Map();
+        map.iterateVertices(vertex => {
+            vertexIndices.set(vertex, vertices.length);
+            vertices.push(vertex);
+        });
+
+        const sectors = [];
+        const sectorIndices = new Map();
+        map.iterateSectors(sector => {
+            sectorIndices.set(sector, sectors.length);
+            sectors.push(sector);
+        });
+
+        const lines = [];
+        map.iterateLines(line => {
+            lines.push(line);
+        });
+
+        const things = [];
+        map.iterateThings(thing => {
+            things.push(thing);
+        });
+
+        WadMapWriter.#checkCount('lines', lines.length);
+        WadMapWriter.#checkCount('sectors', sectors.length);
+        WadMapWriter.#checkCount('things', things.length);
+
+        const { linedefs, sidedefs } = WadMapWriter.#buildLinedefs(lines, vertexIndices, sectorIndices);
+
+        let positions = vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        let nodeLumps = {};
+        let glLumps = null;
+        if (options.nodes) {
+            const built = NodeBuilder.build({ vertices: positions, linedefs }, options.nodes === true ? {} : options.nodes);
+            positions = built.vertices;
+            nodeLumps = built.lumps;
+            glLumps = built.glLumps;
+        }
+
+        // Node building may add vertices where segs were split
+        WadMapWriter.#checkCount('vertices', positions.length);
+
+        const lumps = {
+            ...nodeLumps,
+            REJECT: options.reject
+                ? RejectBuilder.build({ vertices: positions, linedefs, sidedefs, sectorCount: sectors.length },
+                    options.reject === true ? {} : options.reject)
+                : null,
+            BLOCKMAP: options.blockmap ? BlockmapBuilder.build({ vertices: positions, linedefs }) : null,
+            THINGS: WadMapWriter.#writeThings(things),
+            LINEDEFS: WadMapWriter.#writeLinedefs(linedefs),
+            SIDEDEFS: WadMapWriter.#writeSidedefs(sidedefs),
+            VERTEXES: WadMapWriter.#writeVertexes(positions),
+            SECTORS: WadMapWriter.#writeSectors(sectors),
+        };
+
+        wad.addLump(name);
+        WadMapWriter.#LUMP_ORDER.forEach(lumpName => {
+            wad.addLump(lumpName, lumps[lumpName] ?? new Uint8Array(0));
+        });
+
+        if (glLumps !== null) {
+            // Map names longer than five characters use the generic marker
+            wad.addLump(name.length <= 5 ? `GL_${name}` : 'GL_LEVEL');
+            Object.entries(glLumps).forEach(([lumpName, data]) => {
+                wad.addLump(lumpName, data);
+            });
+        }
+
+        return wad;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Validation helpers
+
+    static #checkCount(what, count) {
+        if (count > WadMapWriter.#MAX_COUNT) {
+            throw new Error(`Map has ${count} ${what}, the format allows at most ${WadMapWriter.#MAX_COUNT}`);
+        }
+    }
+
+    static #checkInt16(what, value) {
+        const rounded = Math.round(value);
+        if (rounded < -0x8000 || rounded > 0x7fff) {
+            throw new Error(`${what} ${value} is outside the 16-bit range`);
+        }
+        return rounded;
+    }
+
+    static #checkUint16(what, value) {
+        if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+            throw new Error(`${what} ${value} is outside the unsigned 16-bit range`);
+        }
+        return value;
+    }
+
+    static #checkTexture(what, name) {
+        if (name === '') {
+            return '-';
+        }
+        if (name.length > Wad.NAME_LENGTH) {
+            throw new Error(`${what} "${name}" is longer than ${Wad.NAME_LENGTH} characters`);
+        }
+        return name.toUpperCase();
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Linedef and sidedef assembly
+
+    static #buildLinedefs(lines, vertexIndices, sectorIndices) {
+        const linedefs = [];
+        const sidedefs = [];
+        const sidedefKeys = new Map();
+
+        const addSidedef = (line, side) => {
+            const where = `Line (${line.v0.x}, ${line.v0.y}) - (${line.v1.x}, ${line.v1.y})`;
+            if (!sectorIndices.has(side.sector)) {
+                throw new Error(`${where} references a sector that is not part of the map`);
+            }
+
+            const sidedef = {
+                xOffset: WadMapWriter.#checkInt16(`${where} x offset`, side.xOffset),
+                yOffset: WadMapWriter.#checkInt16(`${where} y offset`, side.yOffset),
+                textureUpper: WadMapWriter.#checkTexture(`${where} upper texture`, side.textureUpper),
+                textureLower: WadMapWriter.#checkTexture(`${where} lower texture`, side.textureLower),
+                textureMiddle: WadMapWriter.#checkTexture(`${where} middle texture`, side.textureMiddle),
+                sector: sectorIndices.get(side.sector),
+            };
+
+            // Lines with a special keep their own sidedefs, as switches change the textures and
+            // scrollers the offsets of every line sharing them
+            if (line.special !== 0) {
+                sidedefs.push(sidedef);
+                return sidedefs.length - 1;
+            }
+
+            // Identical sidedefs are shared between linedefs to save space
+            const key = [
+                sidedef.sector, sidedef.xOffset, sidedef.yOffset,
+                sidedef.textureUpper, sidedef.textureLower, sidedef.textureMiddle,
+            ].join('|');
+
+            let index = sidedefKeys.get(key);
+            if (index === undefined) {
+                index = sidedefs.length;
+                sidedefKeys.set(key, index);
+                sidedefs.push(sidedef);
+            }
+            return index;
+        };
+
+        lines.forEach(line => {
+            const where = `Line (${line.v0.x}, ${line.v0.y}) - (${line.v1.x}, ${line.v1.y})`;
+
+            // The front side lies left of v0 -> v1, whereas Doom puts the front sidedef
+            // on the right of the linedef, so linedefs run from v1 to v0
+            let v0 = line.v1;
+            let v1 = line.v0;
+            let front = line.front;
+            let back = line.back;
+
+            // Doom requires a front sidedef, so lines facing only a back sector are flipped
+            if (front.sector === null && back.sector !== null) {
+                [v0, v1] = [v1, v0];
+                [front, back] = [back, front];
+            }
+
+            if (front.sector === null) {
+                throw new Error(`${where} has no sector on either side`);
+            }
+
+            let flags = 0;
+            Object.entries(WadMapWriter.LINE_FLAG_BITS).forEach(([flag, bit]) => {
+                if (line.flags[flag]) {
+                    flags |= bit;
+                }
+            });
+
+            linedefs.push({
+                v0: vertexIndices.get(v0),
+                v1: vertexIndices.get(v1),
+                flags,
+                special: WadMapWriter.#checkUint16(`${where} special`, line.special),
+                tag: WadMapWriter.#checkUint16(`${where} tag`, line.tag),
+                front: addSidedef(line, front),
+                back: back.sector !== null ? addSidedef(line, back) : -1,
+            });
+        });
+
+        WadMapWriter.#checkCount('sidedefs', sidedefs.length);
+
+        return { linedefs, sidedefs };
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Lump encoders
+
+    static #writeThings(things) {
+        const bytes = new Uint8Array(things.length * WadMapWriter.#THING_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        things.forEach((thing, i) => {
+            const offset = i * WadMapWriter.#THING_SIZE;
+            const where = `Thing at (${thing.x}, ${thing.y})`;
+            view.setInt16(offset, WadMapWriter.#checkInt16(`${where} x`, thing.x), true);
+            view.setInt16(offset + 2, WadMapWriter.#checkInt16(`${where} y`, thing.y), true);
+            view.setInt16(offset + 4, WadMapWriter.#checkInt16(`${where} angle`, thing.angle), true);
+            view.setInt16(offset + 6, WadMapWriter.#checkInt16(`${where} type`, thing.typeId), true);
+            view.setUint16(offset + 8, WadMapWriter.#writeThingFlags(thing.flags), true);
+        });
+
+        return bytes;
+    }
+
+    static #writeThingFlags(flags) {
+        let bits = 0;
+        Object.entries(WadMapWriter.THING_FLAG_BITS).forEach(([flag, bit]) => {
+            if (flags[flag]) {
+                bits |= bit;
+            }
+        });
+        Object.entries(WadMapWriter.THING_INVERTED_FLAG_BITS).forEach(([flag, bit]) => {
+            if (!flags[flag]) {
+                bits |= bit;
+            }
+        });
+        return bits;
+    }
+
+    static #writeLinedefs(linedefs) {
+        const bytes = new Uint8Array(linedefs.length * WadMapWriter.#LINEDEF_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        linedefs.forEach((linedef, i) => {
+            const offset = i * WadMapWriter.#LINEDEF_SIZE;
+            view.setUint16(offset, linedef.v0, true);
+            view.setUint16(offset + 2, linedef.v1, true);
+            view.setUint16(offset + 4, linedef.flags, true);
+            view.setUint16(offset + 6, linedef.special, true);
+            view.setUint16(offset + 8, linedef.tag, true);
+            view.setUint16(offset + 10, linedef.front, true);
+            view.setUint16(offset + 12, linedef.back === -1 ? WadMapWriter.#NO_SIDEDEF : linedef.back, true);
+        });
+
+        return bytes;
+    }
+
+    static #writeSidedefs(sidedefs) {
+        const bytes = new Uint8Array(sidedefs.length * WadMapWriter.#SIDEDEF_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        sidedefs.forEach((sidedef, i) => {
+            const offset = i * WadMapWriter.#SIDEDEF_SIZE;
+            view.setInt16(offset, sidedef.xOffset, true);
+            view.setInt16(offset + 2, sidedef.yOffset, true);
+            Wad.encodeName(sidedef.textureUpper, bytes, offset + 4);
+            Wad.encodeName(sidedef.textureLower, bytes, offset + 12);
+            Wad.encodeName(sidedef.textureMiddle, bytes, offset + 20);
+            view.setUint16(offset + 28, sidedef.sector, true);
+        });
+
+        return bytes;
+    }
+
+    static #writeVertexes(vertices) {
+        const bytes = new Uint8Array(vertices.length * WadMapWriter.#VERTEX_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        vertices.forEach((vertex, i) => {
+            const offset = i * WadMapWriter.#VERTEX_SIZE;
+            const where = `Vertex (${vertex.x}, ${vertex.y})`;
+            view.setInt16(offset, WadMapWriter.#checkInt16(`${where} x`, vertex.x), true);
+            view.setInt16(offset + 2, WadMapWriter.#checkInt16(`${where} y`, vertex.y), true);
+        });
+
+        return bytes;
+    }
+
+    static #writeSectors(sectors) {
+        const bytes = new Uint8Array(sectors.length * WadMapWriter.#SECTOR_SIZE);
+        const view = new DataView(bytes.buffer);
+
+        sectors.forEach((sector, i) => {
+            const offset = i * WadMapWriter.#SECTOR_SIZE;
+            const properties = sector.properties;
+            const where = `Sector ${i}`;
+            view.setInt16(offset, WadMapWriter.#checkInt16(`${where} floor height`, properties.floorHeight), true);
+            view.setInt16(offset + 2, WadMapWriter.#checkInt16(`${where} ceiling height`, properties.ceilingHeight), true);
+            Wad.encodeName(WadMapWriter.#checkTexture(`${where} floor texture`, properties.floorTexture), bytes, offset + 4);
+            Wad.encodeName(WadMapWriter.#checkTexture(`${where} ceiling texture`, properties.ceilingTexture), bytes, offset + 12);
+            view.setInt16(offset + 20, WadMapWriter.#checkInt16(`${where} light level`, properties.lightLevel), true);
+            view.setInt16(offset + 22, WadMapWriter.#checkInt16(`${where} special`, properties.special), true);
+            view.setInt16(offset + 24, WadMapWriter.#checkInt16(`${where} tag`, properties.tag), true);
+        });
+
+        return bytes;
+    }
+}
@@ -26,6 +26,8 @@ export default class Line extends Geometry {
         xOffset = 0;
         /** @type {number} Vertical texture offset. */
         yOffset = 0;
+        /** @type {object} Unmodelled sidedef fields, such as UDMF per-part texture offsets. */
+        extra = {};
 
         /**
          * Copy side data.
@@ -38,6 +40,7 @@ export default class Line extends Geometry {
             this.textureLower = side.textureLower;
             this.xOffset = side.xOffset;
             this.yOffset = side.yOffset;
+            this.extra = { ...side.extra };
         }
 
         /** @returns {object} Serialized side data. */
@@ -48,6 +51,7 @@ export default class Line extends Geometry {
                 textureLower: this.textureLower,
                 xOffset: this.xOffset,
                 yOffset: this.yOffset,
+                extra: { ...this.extra },
             };
         }
 
@@ -62,6 +66,7 @@ export default class Line extends Geometry {
             this.textureLower = data.textureLower ?? '';
             this.xOffset = data.xOffset ?? 0;
             this.yOffset = data.yOffset ?? 0;
+            this.extra = { ...(data.extra ?? {}) };
         }
     };
 
@@ -71,12 +76,14 @@ export default class Line extends Geometry {
      */
     static #Flags = class Flags {
         impassable = false;
+        blockMonsters = false;
         twoSided = false;
         upperUnpegged = false;
         lowerUnpegged = false;
         secret = false;
         blockSound = false;
         dontDraw = false;
+        mapped = false;
 
         /**
          * Copy flag data.
@@ -85,24 +92,28 @@ export default class Line extends Geometry {
          */
         copy(flags) {
             this.impassable = flags.impassable;
+            this.blockMonsters = flags.blockMonsters;
             this.twoSided = flags.twoSided;
             this.upperUnpegged = flags.upperUnpegged;
             this.lowerUnpegged = flags.lowerUnpegged;
             this.secret = flags.secret;
             this.blockSound = flags.blockSound;
             this.dontDraw = flags.dontDraw;
+            this.mapped = flags.mapped;
         }
 
         /** @returns {object} Serialized flag data. */
         serialize() {
             return {
                 impassable: this.impassable,
+                blockMonsters: this.blockMonsters,
                 twoSided: this.twoSided,
                 upperUnpegged: this.upperUnpegged,
                 lowerUnpegged: this.lowerUnpegged,
                 secret: this.secret,
                 blockSound: this.blockSound,
                 dontDraw: this.dontDraw,
+                mapped: this.mapped,
             };
         }
 
@@ -113,12 +124,14 @@ export default class Line extends Geometry {
          */
         deserialize(data) {
             this.impassable = data.impassable;
+            this.blockMonsters = data.blockMonsters ?? false;
             this.twoSided = data.twoSided;
             this.upperUnpegged = data.upperUnpegged;
             this.lowerUnpegged = data.lowerUnpegged;
             this.secret = data.secret;
             this.blockSound = data.blockSound;
             this.dontDraw = data.dontDraw;
+            this.mapped = data.mapped ?? false;
         }
     };
 
@@ -152,6 +165,18 @@ export default class Line extends Geometry {
         return this.#flags;
     }
 
+    /** @type {number} Action special triggered by the line (0 = none). */
+    special = 0;
+
+    /** @type {number} Tag identifying the sectors affected by the special. */
+    tag = 0;
+
+    /** @type {number[]} Hexen-style special arguments (always five). */
+    args = [0, 0, 0, 0, 0];
+
+    /** @type {object} Unmodelled linedef fields, such as UDMF activation flags. */
+    extra = {};
+
     /**
      * Constructs a new line between two vertices.
      *
@@ -197,9 +222,14 @@ export default class Line extends Geometry {
         }
 
         const line = new Line(v0_, v1_);
+        line.id = this.id;
         line.#front.copy(this.#front);
         line.#back.copy(this.#back);
         line.#flags.copy(this.#flags);
+        line.special = this.special;
+        line.tag = this.tag;
+        line.args = [...this.args];
+        line.extra = { ...this.extra };
         return line;
     }
 
@@ -210,11 +240,16 @@ export default class Line extends Geometry {
      */
     serialize() {
         return {
+            id: this.id,
             v0: { x: this.#v0.x, y: this.#v0.y },
             v1: { x: this.#v1.x, y: this.#v1.y },
             front: this.#front.serialize(),
             back: this.#back.serialize(),
             flags: this.#flags.serialize(),
+            special: this.special,
+            tag: this.tag,
+            args: [...this.args],
+            extra: { ...this.extra },
         };
     }
 
@@ -237,12 +272,28 @@ export default class Line extends Geometry {
         }
 
         const line = new Line(v0, v1);
+        line.id = data.id ?? null;
         line.#front.deserialize(data.front);
         line.#back.deserialize(data.back);
         line.#flags.deserialize(data.flags);
+        line.special = data.special ?? 0;
+        line.tag = data.tag ?? 0;
+        line.args = Array.from({ length: 5 }, (_, i) => data.args?.[i] ?? 0);
+        line.extra = { ...(data.extra ?? {}) };
         return line;
     }
 
+    /**
+     * Checks whether another line triggers the same action (special, tag and arguments).
+     *
+     * @param {Line} line - Line to compare with.
+     * @returns {boolean} True if the actions are identical.
+     */
+    hasSameAction(line) {
+        return this.special === line.special && this.tag === line.tag &&
+            this.args.every((arg, i) => arg === line.args[i]);
+    }
+
     /**
      * Detaches this line from its connected vertices.
      */
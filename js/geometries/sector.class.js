@@ -1,5 +1,6 @@
 import DoomMap from '../doommap.class.js';
 import Geometry from './geometry.class.js';
+import Triangulator from '../triangulator.class.js';
 import Utility from '../utility.class.js';
 
 /**
@@ -25,6 +26,8 @@ export default class Sector extends Geometry {
         tag = 0;
         /** @type {number} Sector special type / behavior index. */
         special = 0;
+        /** @type {object} Unmodelled sector fields, such as UDMF flat panning and rotation. */
+        extra = {};
 
         /**
          * Copy all sector properties from another sector.
@@ -38,6 +41,7 @@ export default class Sector extends Geometry {
             this.lightLevel = other.lightLevel;
             this.tag = other.tag;
             this.special = other.special;
+            this.extra = { ...other.extra };
         }
 
         /** @returns {object} Serialized property data. */
@@ -50,6 +54,7 @@ export default class Sector extends Geometry {
                 lightLevel: this.lightLevel,
                 tag: this.tag,
                 special: this.special,
+                extra: { ...this.extra },
             };
         }
 
@@ -66,6 +71,7 @@ export default class Sector extends Geometry {
             this.lightLevel = data.lightLevel;
             this.tag = data.tag;
             this.special = data.special;
+            this.extra = { ...(data.extra ?? {}) };
         }
     };
 
@@ -96,6 +102,9 @@ export default class Sector extends Geometry {
         return this.#children;
     }
 
+    /** @type {?{vertices: Float64Array, indices: Uint32Array}} Cached result of {@link Sector#triangulate}. */
+    #triangulation = null;
+
     #properties = new Sector.#Properties();
     /** @type {Sector.#Properties} Properties. */
     get properties() {
@@ -130,7 +139,19 @@ export default class Sector extends Geometry {
 
         super({ min: { x: minX, y: minY }, max: { x: maxX, y: maxY } });
 
-        // Build line and vertex sequence
+        this.#link(lineMap, lines, false);
+    }
+
+    /**
+     * Builds the line and vertex sequence and assigns this sector to the line sides.
+     *
+     * @param {Map<string, Line>} lineMap - Map of existing lines by key.
+     * @param {Array<{v0:{x:number,y:number}, v1:{x:number,y:number}, front:boolean}>} lines - Line descriptors.
+     * @param {boolean} replace - Whether sides already assigned to another sector are taken over.
+     */
+    #link(lineMap, lines, replace) {
+        this.#triangulation = null;
+
         lines.forEach((line, i) => {
             const key = DoomMap.createLineKey(line.v0.x, line.v0.y, line.v1.x, line.v1.y);
             const l = lineMap.get(key);
@@ -141,7 +162,7 @@ export default class Sector extends Geometry {
             this.#lines.push(l);
 
             if (line.front) {
-                if (l.front.sector !== null) {
+                if (!replace && l.front.sector !== null) {
                     throw new Error('Line already assigned to a front sector');
                 }
                 l.front.sector = this;
@@ -151,7 +172,7 @@ export default class Sector extends Geometry {
                 }
                 this.#flatXY.push(l.v1.x, l.v1.y);
             } else {
-                if (l.back.sector !== null) {
+                if (!replace && l.back.sector !== null) {
                     throw new Error('Line already assigned to a back sector');
                 }
                 l.back.sector = this;
@@ -164,6 +185,40 @@ export default class Sector extends Geometry {
         });
     }
 
+    /**
+     * Reattaches this sector to the current line objects, for example after undo or redo
+     * recreated the lines it was built from. Sides pointing at another sector are taken over.
+     *
+     * @param {Map<string, Line>} lineMap - Map of existing lines by key.
+     * @param {Array<{v0:{x:number,y:number}, v1:{x:number,y:number}, front:boolean}>} lines
+     *        Line descriptors, as returned by {@link Sector#serialize}.
+     */
+    relink(lineMap, lines) {
+        if (this.#map !== null) {
+            throw new Error('Attempted to relink a sector that is part of a map');
+        }
+
+        this.#lines.length = 0;
+        this.#flatXY.length = 0;
+        this.#link(lineMap, lines, true);
+    }
+
+    /**
+     * Checks whether a point lies within this sector, excluding the areas of its child sectors.
+     *
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @returns {boolean} True if the point is strictly inside the sector.
+     */
+    containsPoint(x, y) {
+        const b = this.bounds;
+        if (x < b.min.x || x > b.max.x || y < b.min.y || y > b.max.y) {
+            return false;
+        }
+        return Utility.polygonContainsPoint(this.#flatXY, x, y) &&
+            !this.#children.some(child => Utility.polygonContainsPoint(child.#flatXY, x, y));
+    }
+
     /**
      * Adds this sector to the given {@link DoomMap}, associating it with line sides.
      * Also finds any inner child sector.
@@ -175,6 +230,7 @@ export default class Sector extends Geometry {
             throw new Error('Sector has already been added to a map');
         }
         this.#map = map;
+        this.#triangulation = null;
 
         const b1 = this.bounds;
 
@@ -200,6 +256,7 @@ export default class Sector extends Geometry {
         // Register as a child of parent
         if (this.#parent !== null) {
             this.#parent.#children.push(this);
+            this.#parent.#triangulation = null;
         }
 
         // Adopt any pre-existing children that fall fully within this sector
@@ -220,8 +277,10 @@ export default class Sector extends Geometry {
                 if (other.parent !== null) {
                     const i = other.parent.#children.indexOf(other);
                     other.parent.#children.splice(i, 1);
+                    other.parent.#triangulation = null;
                 }
                 this.#children.push(other);
+                other.#inheritSides(other.#parent, this);
                 other.#parent = this;
             }
         }, b1.min, b1.max);
@@ -243,6 +302,7 @@ export default class Sector extends Geometry {
         if (this.#map === null) {
             throw new Error('Sector has not been added to a map');
         }
+        this.#triangulation = null;
 
         // Restore external sides to point back to parent sector
         this.#lines.forEach(line => {
@@ -255,6 +315,7 @@ export default class Sector extends Geometry {
 
         // Reparent child sectors
         this.#children.forEach(child => {
+            child.#inheritSides(this, this.#parent);
             child.#parent = this.#parent;
             if (this.#parent !== null) {
                 this.#parent.#children.push(child);
@@ -269,12 +330,29 @@ export default class Sector extends Geometry {
                 throw new Error('Missing child in sector');
             }
             this.#parent.#children.splice(i, 1);
+            this.#parent.#triangulation = null;
             this.#parent = null;
         }
 
         this.#map = null;
     }
 
+    /**
+     * Points the external sides of this sector that face one parent sector to another.
+     *
+     * @param {?Sector} from - Previous parent sector.
+     * @param {?Sector} to - New parent sector.
+     */
+    #inheritSides(from, to) {
+        this.#lines.forEach(line => {
+            if (line.front.sector === this && line.back.sector === from) {
+                line.back.sector = to;
+            } else if (line.back.sector === this && line.front.sector === from) {
+                line.front.sector = to;
+            }
+        });
+    }
+
     /**
      * Creates a shallow clone of this sector.
      *
@@ -285,6 +363,7 @@ export default class Sector extends Geometry {
      */
     clone(lineMap, lines) {
         const sector = new Sector(lineMap, lines);
+        sector.id = this.id;
         sector.#properties.copy(this.#properties);
         return sector;
     }
@@ -296,6 +375,7 @@ export default class Sector extends Geometry {
      */
     serialize() {
         return {
+            id: this.id,
             properties: this.#properties.serialize(),
             lines: this.#lines.map(line => ({
                 v0: { x: line.v0.x, y: line.v0.y },
@@ -314,12 +394,14 @@ export default class Sector extends Geometry {
      */
     static deserialize(data, lineMap) {
         const sector = new Sector(lineMap, data.lines);
+        sector.id = data.id ?? null;
         sector.#properties.deserialize(data.properties);
         return sector;
     }
 
     /**
      * Clears all line references from this sector.
+     * Sides that {@link Sector#removeFromMap} handed over to the parent sector are left as is.
      */
     clearLines() {
         if (this.#map !== null) {
@@ -329,13 +411,13 @@ export default class Sector extends Geometry {
         this.#lines.forEach(line => {
             if (line.back.sector === this) {
                 line.back.sector = null;
-            } else if (line.front.sector === this) {
+            }
+            if (line.front.sector === this) {
                 line.front.sector = null;
-            } else {
-                throw new Error('Line not connected to this sector');
             }
         });
         this.#lines.length = 0;
+        this.#triangulation = null;
     }
 
     /**
@@ -440,4 +522,96 @@ export default class Sector extends Geometry {
 
         return loops;
     }
+
+    /**
+     * Triangulates the area of this sector for rendering its floor and ceiling.
+     * The areas of child sectors are cut out, and points shared between the outer
+     * boundary and the child boundaries are welded into one vertex.
+     *
+     * The result is cached until the lines or children of this sector change, and
+     * must not be modified.
+     *
+     * @returns {{ vertices: Float64Array, indices: Uint32Array }} Vertex coordinates as flat
+     *          [x, y, ...] pairs, and three vertex indices per counter-clockwise triangle.
+     */
+    triangulate() {
+        if (this.#triangulation === null) {
+            const outer = this.#flatXY.slice(0, -2);
+            this.#triangulation = Triangulator.triangulate(outer, this.#holeLoops());
+        }
+        return this.#triangulation;
+    }
+
+    /**
+     * Traces the loops of sides that face this sector but are not part of its outer
+     * boundary, which surround the child sectors. Loops of adjacent child sectors are
+     * traced as one.
+     *
+     * @returns {number[][]} Array of flat XY loops, with this sector on their left.
+     */
+    #holeLoops() {
+        const outer = new Set(this.#lines);
+
+        // Directed edges with this sector on the left, by start vertex
+        const edges = new Map();
+        const addEdge = (from, to) => {
+            if (!edges.has(from)) {
+                edges.set(from, []);
+            }
+            edges.get(from).push({ from, to });
+        };
+
+        this.children.forEach(child => {
+            child.lines.forEach(line => {
+                if (outer.has(line) || line.front.sector === line.back.sector) {
+                    return;
+                }
+                if (line.front.sector === this) {
+                    addEdge(line.v0, line.v1);
+                } else if (line.back.sector === this) {
+                    addEdge(line.v1, line.v0);
+                }
+            });
+        });
+
+        const loops = [];
+        const used = new Set();
+        edges.forEach(list => {
+            list.forEach(start => {
+                if (used.has(start)) {
+                    return;
+                }
+
+                const loop = [];
+                let edge = start;
+                while (edge !== undefined && !used.has(edge)) {
+                    used.add(edge);
+                    loop.push(edge.from.x, edge.from.y);
+
+                    // Keep this sector on the left by taking the sharpest left turn
+                    const back = Utility.angleTo(edge.to.x, edge.to.y, edge.from.x, edge.from.y);
+                    let best;
+                    let bestDelta = -Infinity;
+                    (edges.get(edge.to) ?? []).forEach(next => {
+                        if (used.has(next) && next !== start) {
+                            return;
+                        }
+                        const angle = Utility.angleTo(next.from.x, next.from.y, next.to.x, next.to.y);
+                        const delta = Utility.angleToCcw(back, angle);
+                        if (delta > bestDelta) {
+                            best = next;
+                            bestDelta = delta;
+                        }
+                    });
+                    edge = best;
+                }
+
+                if (loop.length >= 6) {
+                    loops.push(loop);
+                }
+            });
+        });
+
+        return loops;
+    }
 }
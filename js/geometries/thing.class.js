@@ -4,6 +4,95 @@ import Geometry from './geometry.class.js';
  * Represents a Thing placed within the map such as a player start, monster, decoration, or pickup.
  */
 export default class Thing extends Geometry {
+    /**
+     * Internal class representing skill, game mode and class flags.
+     * @private
+     */
+    static #Flags = class Flags {
+        /** Appears on skill levels 1 and 2. */
+        easy = true;
+        /** Appears on skill level 3. */
+        medium = true;
+        /** Appears on skill levels 4 and 5. */
+        hard = true;
+        /** Monster is deaf and waits until it sees the player. */
+        ambush = false;
+        /** Appears in multiplayer games only. */
+        notSinglePlayer = false;
+        /** Appears in cooperative games. */
+        cooperative = true;
+        /** Appears in deathmatch games. */
+        deathmatch = true;
+        /** Monster fights on the side of the player (MBF). */
+        friendly = false;
+        /** Thing starts dormant until activated by a script (Hexen). */
+        dormant = false;
+        /** Appears for the fighter class (Hexen). */
+        fighter = true;
+        /** Appears for the cleric class (Hexen). */
+        cleric = true;
+        /** Appears for the mage class (Hexen). */
+        mage = true;
+
+        /**
+         * Copy flag data.
+         *
+         * @param {Thing.#Flags} flags - Flags to copy.
+         */
+        copy(flags) {
+            this.easy = flags.easy;
+            this.medium = flags.medium;
+            this.hard = flags.hard;
+            this.ambush = flags.ambush;
+            this.notSinglePlayer = flags.notSinglePlayer;
+            this.cooperative = flags.cooperative;
+            this.deathmatch = flags.deathmatch;
+            this.friendly = flags.friendly;
+            this.dormant = flags.dormant;
+            this.fighter = flags.fighter;
+            this.cleric = flags.cleric;
+            this.mage = flags.mage;
+        }
+
+        /** @returns {object} Serialized flag data. */
+        serialize() {
+            return {
+                easy: this.easy,
+                medium: this.medium,
+                hard: this.hard,
+                ambush: this.ambush,
+                notSinglePlayer: this.notSinglePlayer,
+                cooperative: this.cooperative,
+                deathmatch: this.deathmatch,
+                friendly: this.friendly,
+                dormant: this.dormant,
+                fighter: this.fighter,
+                cleric: this.cleric,
+                mage: this.mage,
+            };
+        }
+
+        /**
+         * Deserializes flag data.
+         *
+         * @param {object} data - Serialized flag data.
+         */
+        deserialize(data) {
+            this.easy = data.easy ?? true;
+            this.medium = data.medium ?? true;
+            this.hard = data.hard ?? true;
+            this.ambush = data.ambush ?? false;
+            this.notSinglePlayer = data.notSinglePlayer ?? false;
+            this.cooperative = data.cooperative ?? true;
+            this.deathmatch = data.deathmatch ?? true;
+            this.friendly = data.friendly ?? false;
+            this.dormant = data.dormant ?? false;
+            this.fighter = data.fighter ?? true;
+            this.cleric = data.cleric ?? true;
+            this.mage = data.mage ?? true;
+        }
+    };
+
     #x = 0;
     /** @type {number} X coordinate (read-only). */
     get x() {
@@ -25,6 +114,15 @@ export default class Thing extends Geometry {
     /** @type {number} Facing angle in degrees (0 = east, 90 = north). */
     angle = 0;
 
+    #flags = new Thing.#Flags();
+    /** @type {Thing.#Flags} Skill, game mode and class flags. */
+    get flags() {
+        return this.#flags;
+    }
+
+    /** @type {object} Unmodelled thing fields, such as UDMF specials and arguments. */
+    extra = {};
+
     /**
      * Creates a new Thing at the given position and orientation.
      *
@@ -47,6 +145,23 @@ export default class Thing extends Geometry {
         this.angle = angle;
     }
 
+    /**
+     * Moves this Thing to a new position, updating its bounds.
+     * Maps keep Things in a spatial index, so use {@link DoomMap#moveThing} for Things in a map.
+     *
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     */
+    setPosition(x, y) {
+        this.#x = x;
+        this.#y = y;
+
+        this.bounds.min.x = x;
+        this.bounds.min.y = y;
+        this.bounds.max.x = x;
+        this.bounds.max.y = y;
+    }
+
     /**
      * Creates a clone of this Thing at a new position.
      *
@@ -55,7 +170,11 @@ export default class Thing extends Geometry {
      * @returns {Thing} A cloned Thing instance.
      */
     clone(x, y) {
-        return new Thing(x, y, this.z, this.typeId, this.angle);
+        const thing = new Thing(x, y, this.z, this.typeId, this.angle);
+        thing.id = this.id;
+        thing.#flags.copy(this.#flags);
+        thing.extra = { ...this.extra };
+        return thing;
     }
 
     /**
@@ -65,11 +184,14 @@ export default class Thing extends Geometry {
      */
     serialize() {
         return {
+            id: this.id,
             x: this.#x,
             y: this.#y,
             z: this.z,
             typeId: this.typeId,
             angle: this.angle,
+            flags: this.#flags.serialize(),
+            extra: { ...this.extra },
         };
     }
 
@@ -80,6 +202,10 @@ export default class Thing extends Geometry {
      * @returns {Thing} Deserialized Thing instance.
      */
     static deserialize(data) {
-        return new Thing(data.x, data.y, data.z, data.typeId, data.angle);
+        const thing = new Thing(data.x, data.y, data.z, data.typeId, data.angle);
+        thing.id = data.id ?? null;
+        thing.#flags.deserialize(data.flags ?? {});
+        thing.extra = { ...(data.extra ?? {}) };
+        return thing;
     }
 }
@@ -22,6 +22,9 @@ export default class Vertex extends Geometry {
         return this.#y;
     }
 
+    /** @type {object} Unmodelled vertex fields, such as UDMF floor and ceiling heights. */
+    extra = {};
+
     /**
      * Constructs a new immutable vertex at the given position.
      *
@@ -44,7 +47,7 @@ export default class Vertex extends Geometry {
      * @returns {object} Serialized vertex representation.
      */
     serialize() {
-        return { x: this.#x, y: this.#y };
+        return { id: this.id, x: this.#x, y: this.#y, extra: { ...this.extra } };
     }
 
     /**
@@ -54,7 +57,10 @@ export default class Vertex extends Geometry {
      * @returns {Vertex} A new vertex instance.
      */
     static deserialize(data) {
-        return new Vertex(data.x, data.y);
+        const vertex = new Vertex(data.x, data.y);
+        vertex.id = data.id ?? null;
+        vertex.extra = { ...(data.extra ?? {}) };
+        return vertex;
     }
 
     /**
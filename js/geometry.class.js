@@ -2,6 +2,13 @@
  * Abstract base class for all geometry types in the map.
  */
 export default class Geometry {
+    /**
+     * Stable ID assigned by the map the geometry is added to, or null before that.
+     * Clones keep the ID of their original.
+     * @type {?number}
+     */
+    id = null;
+
     #bounds = null;
     /**
      * Read-only axis-aligned bounding box.
@@ -20,4 +27,16 @@ export default class Geometry {
     constructor(bounds) {
         this.#bounds = bounds;
     }
+
+    /**
+     * Checks whether the bounds of this geometry overlap a box. Touching counts as overlapping.
+     *
+     * @param {{x:number, y:number}} min - Minimum corner of the box.
+     * @param {{x:number, y:number}} max - Maximum corner of the box.
+     * @returns {boolean} True if the bounds overlap the box.
+     */
+    isInside(min, max) {
+        const b = this.#bounds;
+        return b.min.x <= max.x && b.max.x >= min.x && b.min.y <= max.y && b.max.y >= min.y;
+    }
 }
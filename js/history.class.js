@@ -19,16 +19,38 @@ class History {
         parameter = null;
         /** @type {boolean} */
         coalescing = false;
+        /** @type {string|null} */
+        label = null;
 
-        constructor(doFunc, undoFunc, target, parameter, coalescing) {
+        constructor(doFunc, undoFunc, target, parameter, coalescing, label = null) {
             this.doFunc = doFunc;
             this.undoFunc = undoFunc;
             this.target = target;
             this.parameter = parameter;
             this.coalescing = coalescing;
+            this.label = label;
         }
     };
 
+    /**
+     * Creates an action applying a list of actions in order and reverting them in reverse order.
+     *
+     * @param {History.#Action[]} actions Actions to combine
+     * @param {?string} label             Label of the combined action
+     * @returns {History.#Action}
+     */
+    static #compound(actions, label) {
+        return new History.#Action(() => {
+            actions.forEach(action => {
+                action.doResult = action.doFunc();
+            });
+        }, () => {
+            for (let i = actions.length - 1; i >= 0; i--) {
+                actions[i].undoFunc(actions[i].doResult);
+            }
+        }, null, null, false, label);
+    }
+
     /**
      * @returns {number} Number of available undo steps.
      */
@@ -43,11 +65,132 @@ class History {
         return this.redoStack.length;
     }
 
+    /**
+     * @returns {?string} Label of the action that would be undone next.
+     */
+    get undoLabel() {
+        return this.stack[this.stack.length - 1]?.label ?? null;
+    }
+
+    /**
+     * @returns {?string} Label of the action that would be redone next.
+     */
+    get redoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+    }
+
+    /**
+     * @returns {boolean} Whether a group is open.
+     */
+    get grouping() {
+        return this.#groupStarts.length > 0;
+    }
+
     /** @private @type {History.#Action[]} */
     stack = [];
     /** @private @type {History.#Action[]} */
     redoStack = [];
 
+    /** @type {History.#Action[]} Actions recorded by the open group. */
+    #groupActions = [];
+    /** @type {number[]} Number of recorded actions when each nested group was opened. */
+    #groupStarts = [];
+    /** @type {?string} Label of the outermost open group. */
+    #groupLabel = null;
+
+    /**
+     * Open a group. Every action executed until the matching {@link History#commit} becomes
+     * part of a single undo step. Nested groups collapse into the outermost one.
+     *
+     * @param {?string} [label=null] Label describing the operation (used by the outermost group only)
+     */
+    begin(label = null) {
+        if (this.#groupStarts.length === 0) {
+            this.#groupLabel = label;
+        }
+        this.#groupStarts.push(this.#groupActions.length);
+    }
+
+    /**
+     * Close the innermost open group. Closing the outermost group pushes its actions
+     * onto the undo stack as one step.
+     */
+    commit() {
+        if (this.#groupStarts.length === 0) {
+            throw new Error('No history group to commit');
+        }
+
+        this.#groupStarts.pop();
+        if (this.#groupStarts.length > 0) {
+            return;
+        }
+
+        const actions = this.#groupActions;
+        this.#groupActions = [];
+
+        if (actions.length === 0) {
+            return;
+        }
+
+        // A lone action is kept as is so that it can still coalesce with the next one
+        const action = actions.length === 1 ? actions[0] : History.#compound(actions, this.#groupLabel);
+        action.label ??= this.#groupLabel;
+        this.#push(action);
+    }
+
+    /**
+     * Close the innermost open group, reverting every action it recorded.
+     */
+    rollback() {
+        if (this.#groupStarts.length === 0) {
+            throw new Error('No history group to roll back');
+        }
+
+        const start = this.#groupStarts.pop();
+        const actions = this.#groupActions.splice(start);
+        for (let i = actions.length - 1; i >= 0; i--) {
+            actions[i].undoFunc(actions[i].doResult);
+        }
+    }
+
+    /**
+     * Record an action whose change has already been applied.
+     *
+     * @param {() => void} doFunc         Function that reapplies the change
+     * @param {() => void} undoFunc       Function that reverts the change
+     */
+    record(doFunc, undoFunc) {
+        const action = new History.#Action(doFunc, undoFunc, null, null, false);
+
+        if (this.#groupStarts.length === 0) {
+            this.#push(action);
+        } else {
+            this.#groupActions.push(action);
+        }
+    }
+
+    /**
+     * Run a function inside a group. The group is committed when the function returns
+     * and rolled back if it throws.
+     *
+     * @template T
+     * @param {?string} label Label describing the operation
+     * @param {() => T} func  Function performing the operation
+     * @returns {T}           The return value of the function
+     */
+    group(label, func) {
+        this.begin(label);
+        let result;
+        try {
+            result = func();
+        } catch (e) {
+            this.rollback();
+            throw e;
+        }
+        this.commit();
+        return result;
+    }
+
     /**
      * Execute a reversible action.
      *
@@ -60,27 +203,47 @@ class History {
     do(doFunc, undoFunc, target = null, parameter = null, coalescing = true) {
         const action = new History.#Action(doFunc, undoFunc, target, parameter, coalescing);
 
+        if (this.#groupStarts.length > 0) {
+            this.#groupActions.push(action);
+        } else {
+            this.#push(action);
+        }
+
+        action.doResult = action.doFunc();
+    }
+
+    /**
+     * Push an action onto the undo stack, replacing the last one if they coalesce.
+     *
+     * @param {History.#Action} action Action to push
+     */
+    #push(action) {
         const last = this.stack[this.stack.length - 1];
+
         const replace =
             last &&
             last.coalescing &&
-            last.target !== null && last.target === target &&
-            last.parameter === parameter;
+            last.target !== null && last.target === action.target &&
+            last.parameter === action.parameter;
 
         if (replace) {
+            // Undoing the merged action must restore the state from before the first one
+            action.undoFunc = last.undoFunc;
             this.stack[this.stack.length - 1] = action;
         } else {
             this.stack.push(action);
             this.redoStack.length = 0;
         }
-
-        action.doResult = action.doFunc();
     }
 
     /**
      * Undo the most recent action, if any.
      */
     undo() {
+        if (this.#groupStarts.length > 0) {
+            throw new Error('Cannot undo while a history group is open');
+        }
+
         const action = this.stack.pop();
         if (action) {
             this.redoStack.push(action);
@@ -92,6 +255,10 @@ class History {
      * Redo the most recently undone action, if any.
      */
     redo() {
+        if (this.#groupStarts.length > 0) {
+            throw new Error('Cannot redo while a history group is open');
+        }
+
         const action = this.redoStack.pop();
         if (action) {
             this.stack.push(action);
@@ -105,6 +272,9 @@ class History {
     clear() {
         this.stack.length = 0;
         this.redoStack.length = 0;
+        this.#groupActions = [];
+        this.#groupStarts = [];
+        this.#groupLabel = null;
     }
 }
 
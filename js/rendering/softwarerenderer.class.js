@@ -0,0 +1,374 @@
+/**
+ * Renders a first-person view of a {@link DoomMap} on the CPU into an RGBA pixel buffer.
+ *
+ * The view is drawn one screen column at a time, Doom style: a ray is cast through the
+ * column, and the lines it crosses are drawn front to back. Each line clips the column
+ * to the opening into the sector behind it, so floors, ceilings and walls of farther
+ * sectors only fill what nearer ones left open. Two-sided middle textures are drawn
+ * back to front last, skipping transparent pixels.
+ *
+ * Textures are taken from a provider function `(name, type) => image`, where `type` is
+ * "wall" or "flat" and `image` is an object shaped like ImageData (`{ width, height, data }`
+ * with RGBA bytes), or null if the texture is unknown. Unknown textures are drawn as a
+ * checkerboard. The empty name and "-" mean no texture.
+ */
+export default class SoftwareRenderer {
+    /** @type {number} Height of the screen the sky texture is scaled to, in pixels. */
+    static #SKY_SCREEN_HEIGHT = 200;
+    /** @type {number} Number of sky texture columns in a full turn. */
+    static #SKY_COLUMNS = 1024;
+    /** @type {number} Light level difference of walls along the X and Y axes. */
+    static #FAKE_CONTRAST = 16;
+
+    /** @type {{width:number, height:number, data:Uint8ClampedArray}} Image of unknown textures. */
+    static #MISSING = (() => {
+        const size = 16;
+        const data = new Uint8ClampedArray(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const i = (y * size + x) * 4;
+                const on = (x < size / 2) !== (y < size / 2);
+                data[i] = on ? 255 : 0;
+                data[i + 2] = on ? 255 : 0;
+                data[i + 3] = 255;
+            }
+        }
+        return { width: size, height: size, data };
+    })();
+
+    /**
+     * Default render options.
+     *
+     * @type {{ width: number, height: number, fov: number, viewHeight: number,
+     *          skyTexture: string, fadeDistance: number }}
+     */
+    static DEFAULT_OPTIONS = {
+        /** Width of the image in pixels. */
+        width: 320,
+        /** Height of the image in pixels. */
+        height: 200,
+        /** Horizontal field of view in degrees. */
+        fov: 90,
+        /** Eye height above the floor, used if the camera has no Z coordinate. */
+        viewHeight: 41,
+        /** Ceiling texture of sky sectors, drawn with the sky texture from the map metadata. */
+        skyTexture: 'F_SKY1',
+        /** Distance over which light fades from the sector light level to darkness. */
+        fadeDistance: 1600,
+    };
+
+    /**
+     * Renders a view of a map.
+     *
+     * @param {DoomMap} map - The map to render.
+     * @param {{x:number, y:number, z:?number, angle:number}} camera - Camera position and angle in degrees
+     *        (0 = east, counter-clockwise). Without Z, the eye is `viewHeight` above the floor below the camera.
+     * @param {function(string, string):?{width:number, height:number, data:Uint8ClampedArray}} textures
+     *        Texture provider.
+     * @param {object} [options] - Overrides for {@link SoftwareRenderer.DEFAULT_OPTIONS}.
+     * @returns {Uint8ClampedArray} RGBA pixels, row by row from the top left.
+     */
+    static render(map, camera, textures, options = {}) {
+        const settings = { ...SoftwareRenderer.DEFAULT_OPTIONS, ...options };
+        const { width, height } = settings;
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let i = 3; i < pixels.length; i += 4) {
+            pixels[i] = 255;
+        }
+
+        const cache = new Map();
+        const texture = (name, type) => {
+            const key = `${type}:${name}`;
+            if (!cache.has(key)) {
+                cache.set(key, textures(name, type) ?? SoftwareRenderer.#MISSING);
+            }
+            return cache.get(key);
+        };
+
+        let z = camera.z ?? null;
+        if (z === null) {
+            let floor = 0;
+            map.iterateSectors(sector => {
+                if (sector.containsPoint(camera.x, camera.y)) {
+                    floor = sector.properties.floorHeight;
+                    return false;
+                }
+            });
+            z = floor + settings.viewHeight;
+        }
+
+        const lines = [];
+        map.iterateLines(line => {
+            lines.push(line);
+        });
+
+        const view = {
+            x: camera.x,
+            y: camera.y,
+            z,
+            angle: camera.angle * Math.PI / 180,
+            focal: width / 2 / Math.tan(settings.fov * Math.PI / 360),
+            horizon: height / 2,
+        };
+
+        const context = { pixels, width, height, view, lines, texture, settings, sky: map.metadata.skyTexture };
+        for (let column = 0; column < width; column++) {
+            SoftwareRenderer.#renderColumn(column, context);
+        }
+
+        return pixels;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Columns
+
+    static #renderColumn(column, context) {
+        const { view, height, lines } = context;
+
+        // Ray through the center of the column, and the factor from ray distance to view depth
+        const rayAngle = view.angle + Math.atan((context.width / 2 - column - 0.5) / view.focal);
+        const dx = Math.cos(rayAngle);
+        const dy = Math.sin(rayAngle);
+        const depthScale = Math.cos(rayAngle - view.angle);
+        const ray = { column, angle: rayAngle, dx, dy, depthScale };
+
+        const hits = [];
+        lines.forEach(line => {
+            const ex = line.v1.x - line.v0.x;
+            const ey = line.v1.y - line.v0.y;
+            const denominator = dx * ey - dy * ex;
+            if (denominator === 0) {
+                return;
+            }
+
+            const wx = line.v0.x - view.x;
+            const wy = line.v0.y - view.y;
+            const t = (wx * ey - wy * ex) / denominator;
+            const s = (wx * dy - wy * dx) / denominator;
+            if (t > 0 && s >= 0 && s <= 1) {
+                hits.push({ line, t, s, front: ey * wx - ex * wy > 0 });
+            }
+        });
+        hits.sort((a, b) => a.t - b.t);
+
+        // Rows of the column still open, [clipTop, clipBottom)
+        let clipTop = 0;
+        let clipBottom = height;
+        const masked = [];
+
+        for (const hit of hits) {
+            const { line } = hit;
+            const near = hit.front ? line.front : line.back;
+            const far = hit.front ? line.back : line.front;
+            const sector = near.sector;
+            if (sector === null) {
+                continue;
+            }
+
+            const depth = hit.t * depthScale;
+            const project = z => SoftwareRenderer.#row(view.horizon - (z - view.z) * view.focal / depth, height);
+            const props = sector.properties;
+            const ceilingRow = project(props.ceilingHeight);
+            const floorRow = project(props.floorHeight);
+
+            // The sector in front of the line fills the column up to its floor and ceiling at the line
+            SoftwareRenderer.#drawPlane(ray, context, sector, true, clipTop, Math.min(ceilingRow, clipBottom));
+            SoftwareRenderer.#drawPlane(ray, context, sector, false, Math.max(floorRow, clipTop), clipBottom);
+
+            const wall = { hit, side: near, sector, depth };
+            if (far.sector === null) {
+                const textureHeight = SoftwareRenderer.#textureOf(context, near.textureMiddle).height;
+                const top = line.flags.lowerUnpegged ? props.floorHeight + textureHeight : props.ceilingHeight;
+                SoftwareRenderer.#drawWall(ray, context, wall, near.textureMiddle, top,
+                    Math.max(ceilingRow, clipTop), Math.min(floorRow, clipBottom), false);
+                SoftwareRenderer.#drawMasked(ray, context, masked);
+                return;
+            }
+
+            const back = far.sector.properties;
+            const backCeilingRow = project(back.ceilingHeight);
+            const backFloorRow = project(back.floorHeight);
+
+            // Upper wall, left out between two skies so the sky of the sector behind shows through
+            const sky = props.ceilingTexture === context.settings.skyTexture &&
+                back.ceilingTexture === context.settings.skyTexture;
+            if (back.ceilingHeight < props.ceilingHeight && !sky) {
+                const textureHeight = SoftwareRenderer.#textureOf(context, near.textureUpper).height;
+                const top = line.flags.upperUnpegged ? props.ceilingHeight : back.ceilingHeight + textureHeight;
+                SoftwareRenderer.#drawWall(ray, context, wall, near.textureUpper, top,
+                    Math.max(ceilingRow, clipTop), Math.min(backCeilingRow, clipBottom), false);
+                clipTop = Math.max(clipTop, ceilingRow, backCeilingRow);
+            } else {
+                clipTop = Math.max(clipTop, ceilingRow);
+            }
+
+            // Lower wall
+            if (back.floorHeight > props.floorHeight) {
+                const top = line.flags.lowerUnpegged ? props.ceilingHeight : back.floorHeight;
+                SoftwareRenderer.#drawWall(ray, context, wall, near.textureLower, top,
+                    Math.max(backFloorRow, clipTop), Math.min(floorRow, clipBottom), false);
+                clipBottom = Math.min(clipBottom, floorRow, backFloorRow);
+            } else {
+                clipBottom = Math.min(clipBottom, floorRow);
+            }
+
+            if (SoftwareRenderer.#hasTexture(near.textureMiddle)) {
+                masked.push({ wall, back, clipTop, clipBottom });
+            }
+
+            if (clipTop >= clipBottom) {
+                break;
+            }
+        }
+
+        SoftwareRenderer.#drawMasked(ray, context, masked);
+    }
+
+    /**
+     * Converts a projected screen Y coordinate to the first row whose center lies below it.
+     */
+    static #row(y, height) {
+        return Math.max(0, Math.min(height, Math.ceil(y - 0.5)));
+    }
+
+    /**
+     * True if a texture name refers to a texture, "-" and the empty name meaning none.
+     */
+    static #hasTexture(name) {
+        return name !== '' && name !== '-';
+    }
+
+    static #textureOf(context, name) {
+        return SoftwareRenderer.#hasTexture(name) ? context.texture(name, 'wall') : SoftwareRenderer.#MISSING;
+    }
+
+    /**
+     * Brightness factor for a light level at a distance from the eye.
+     */
+    static #brightness(lightLevel, distance, settings) {
+        return Math.max(0, Math.min(1, lightLevel / 255 * (1.25 - distance / settings.fadeDistance)));
+    }
+
+    static #putPixel(context, column, row, image, u, v, brightness) {
+        const i = (((v % image.height) + image.height) % image.height * image.width +
+            ((u % image.width) + image.width) % image.width) * 4;
+        const o = (row * context.width + column) * 4;
+        context.pixels[o] = image.data[i] * brightness;
+        context.pixels[o + 1] = image.data[i + 1] * brightness;
+        context.pixels[o + 2] = image.data[i + 2] * brightness;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Surfaces
+
+    /**
+     * Draws rows [from, to) of a floor or ceiling.
+     */
+    static #drawPlane(ray, context, sector, ceiling, from, to) {
+        const { view, settings } = context;
+        const props = sector.properties;
+        const name = ceiling ? props.ceilingTexture : props.floorTexture;
+
+        if (ceiling && name === settings.skyTexture) {
+            SoftwareRenderer.#drawSky(ray, context, from, to);
+            return;
+        }
+        if (!SoftwareRenderer.#hasTexture(name)) {
+            return;
+        }
+
+        const image = context.texture(name, 'flat');
+        const height = Math.abs((ceiling ? props.ceilingHeight : props.floorHeight) - view.z);
+        for (let row = from; row < to; row++) {
+            const offset = ceiling ? view.horizon - (row + 0.5) : row + 0.5 - view.horizon;
+            if (offset <= 0) {
+                continue;
+            }
+
+            // Distance along the ray to where the row meets the plane
+            const distance = height * view.focal / offset / ray.depthScale;
+            const x = view.x + ray.dx * distance;
+            const y = view.y + ray.dy * distance;
+            const brightness = SoftwareRenderer.#brightness(props.lightLevel, distance * ray.depthScale, settings);
+            SoftwareRenderer.#putPixel(context, ray.column, row, image, Math.floor(x), Math.floor(-y), brightness);
+        }
+    }
+
+    static #drawSky(ray, context, from, to) {
+        const image = context.texture(context.sky, 'wall');
+        const u = Math.floor(ray.angle / (Math.PI * 2) * SoftwareRenderer.#SKY_COLUMNS);
+        const scale = SoftwareRenderer.#SKY_SCREEN_HEIGHT / context.height;
+        for (let row = from; row < to; row++) {
+            SoftwareRenderer.#putPixel(context, ray.column, row, image, u, Math.floor((row + 0.5) * scale), 1);
+        }
+    }
+
+    /**
+     * Draws rows [from, to) of a wall.
+     *
+     * @param {object} wall - The line hit, the side facing the eye, its sector and the view depth.
+     * @param {string} name - Texture name.
+     * @param {number} textureTop - Height at which the top of the texture is drawn.
+     * @param {boolean} transparent - Whether pixels with zero alpha are skipped.
+     */
+    static #drawWall(ray, context, wall, name, textureTop, from, to, transparent) {
+        if (from >= to || !SoftwareRenderer.#hasTexture(name)) {
+            return;
+        }
+
+        const { view, settings } = context;
+        const { hit, side, sector, depth } = wall;
+        const line = hit.line;
+        const image = context.texture(name, 'wall');
+
+        // Seen from the sector, the side runs from its left to its right vertex
+        const length = Math.hypot(line.v1.x - line.v0.x, line.v1.y - line.v0.y);
+        const along = side === line.front ? (1 - hit.s) * length : hit.s * length;
+        const u = Math.floor(along + side.xOffset);
+
+        let lightLevel = sector.properties.lightLevel;
+        if (line.v0.y === line.v1.y) {
+            lightLevel -= SoftwareRenderer.#FAKE_CONTRAST;
+        } else if (line.v0.x === line.v1.x) {
+            lightLevel += SoftwareRenderer.#FAKE_CONTRAST;
+        }
+        const brightness = SoftwareRenderer.#brightness(lightLevel, depth, settings);
+
+        for (let row = from; row < to; row++) {
+            const z = view.z - (row + 0.5 - view.horizon) * depth / view.focal;
+            const v = Math.floor(textureTop - z + side.yOffset);
+            if (transparent) {
+                const texel = ((((v % image.height) + image.height) % image.height) * image.width +
+                    ((u % image.width) + image.width) % image.width) * 4;
+                if (image.data[texel + 3] === 0) {
+                    continue;
+                }
+            }
+            SoftwareRenderer.#putPixel(context, ray.column, row, image, u, v, brightness);
+        }
+    }
+
+    /**
+     * Draws the middle textures of two-sided lines back to front. They are drawn once,
+     * not tiled vertically, within the opening between the sectors on both sides.
+     */
+    static #drawMasked(ray, context, masked) {
+        const { view, height } = context;
+        for (let i = masked.length - 1; i >= 0; i--) {
+            const { wall, back, clipTop, clipBottom } = masked[i];
+            const { side, sector, depth } = wall;
+            const props = sector.properties;
+
+            const textureHeight = SoftwareRenderer.#textureOf(context, side.textureMiddle).height;
+            const openingBottom = Math.max(props.floorHeight, back.floorHeight);
+            const openingTop = Math.min(props.ceilingHeight, back.ceilingHeight);
+            const top = wall.hit.line.flags.lowerUnpegged ? openingBottom + textureHeight : openingTop;
+
+            const project = z => SoftwareRenderer.#row(view.horizon - (z - view.z) * view.focal / depth, height);
+            const from = Math.max(clipTop, project(Math.min(openingTop, top + side.yOffset)));
+            const to = Math.min(clipBottom, project(Math.max(openingBottom, top + side.yOffset - textureHeight)));
+            SoftwareRenderer.#drawWall(ray, context, wall, side.textureMiddle, top, from, to, true);
+        }
+    }
+}
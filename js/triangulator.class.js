@@ -0,0 +1,523 @@
+/*
+ * The ear clipping and hole bridging below are adapted from earcut
+ * (https://github.com/mapbox/earcut), under the following license:
+ *
+ * ISC License
+ *
+ * Copyright (c) 2016, Mapbox
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND ISC DISCLAIMS ALL WARRANTIES WITH REGARD TO
+ * THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS.
+ * IN NO EVENT SHALL ISC BE LIABLE FOR ANY SPECIAL, DIRECT, INDIRECT, OR
+ * CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS OF USE, DATA
+ * OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION,
+ * ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/**
+ * Polygon triangulation by ear clipping, with holes bridged into the outer loop.
+ * Based on earcut by Mapbox, see the notice above.
+ *
+ * Loops may touch each other and themselves at vertices, and may contain
+ * repeated and collinear points. Vertices with equal coordinates are welded
+ * into one, so triangles of adjacent loops share their indices.
+ */
+export default class Triangulator {
+    /**
+     * Node of the circular doubly linked list that holds the polygon being clipped.
+     */
+    static #Node = class {
+        /**
+         * @param {number} i - Index of the vertex in the output vertex array.
+         * @param {number} x - X coordinate.
+         * @param {number} y - Y coordinate.
+         */
+        constructor(i, x, y) {
+            this.i = i;
+            this.x = x;
+            this.y = y;
+            this.prev = null;
+            this.next = null;
+            this.steiner = false;
+        }
+    };
+
+    /**
+     * Triangulates a polygon with holes.
+     *
+     * @param {number[]} outer - Outer loop as flat [x0, y0, x1, y1, ...] coordinates, in either winding.
+     *        A closing point equal to the first one is allowed.
+     * @param {number[][]} [holes=[]] - Hole loops in the same format.
+     * @returns {{ vertices: Float64Array, indices: Uint32Array }} Welded vertex coordinates as
+     *          flat [x, y, ...] pairs, and three vertex indices per counter-clockwise triangle.
+     */
+    static triangulate(outer, holes = []) {
+        const vertices = [];
+        const indexMap = new Map();
+        const indexOf = (x, y) => {
+            const key = `${x},${y}`;
+            let i = indexMap.get(key);
+            if (i === undefined) {
+                i = vertices.length / 2;
+                indexMap.set(key, i);
+                vertices.push(x, y);
+            }
+            return i;
+        };
+
+        const triangles = [];
+        let list = Triangulator.#linkedList(outer, true, indexOf);
+        if (list !== null && list.next !== list.prev) {
+            if (holes.length > 0) {
+                list = Triangulator.#eliminateHoles(holes, list, indexOf);
+            }
+            Triangulator.#earcutLinked(list, triangles, 0);
+        }
+
+        // Emit all triangles counter-clockwise, dropping ones without area
+        const indices = [];
+        for (let t = 0; t < triangles.length; t += 3) {
+            const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+            const cross =
+                (vertices[b * 2] - vertices[a * 2]) * (vertices[c * 2 + 1] - vertices[a * 2 + 1]) -
+                (vertices[b * 2 + 1] - vertices[a * 2 + 1]) * (vertices[c * 2] - vertices[a * 2]);
+            if (cross > 0) {
+                indices.push(a, b, c);
+            } else if (cross < 0) {
+                indices.push(a, c, b);
+            }
+        }
+
+        return { vertices: Float64Array.from(vertices), indices: Uint32Array.from(indices) };
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Linked list
+
+    /**
+     * Creates a circular linked list from a flat loop, in the requested winding.
+     */
+    static #linkedList(flatXY, clockwise, indexOf) {
+        let last = null;
+        const count = flatXY.length - (flatXY.length % 2);
+        if (clockwise === (Triangulator.#signedArea(flatXY, count) > 0)) {
+            for (let i = 0; i < count; i += 2) {
+                last = Triangulator.#insertNode(indexOf(flatXY[i], flatXY[i + 1]), flatXY[i], flatXY[i + 1], last);
+            }
+        } else {
+            for (let i = count - 2; i >= 0; i -= 2) {
+                last = Triangulator.#insertNode(indexOf(flatXY[i], flatXY[i + 1]), flatXY[i], flatXY[i + 1], last);
+            }
+        }
+
+        if (last !== null && Triangulator.#equals(last, last.next)) {
+            Triangulator.#removeNode(last);
+            last = last.next;
+        }
+        return last;
+    }
+
+    static #signedArea(flatXY, count) {
+        let sum = 0;
+        for (let i = 0, j = count - 2; i < count; j = i, i += 2) {
+            sum += (flatXY[j] - flatXY[i]) * (flatXY[i + 1] + flatXY[j + 1]);
+        }
+        return sum;
+    }
+
+    static #insertNode(i, x, y, last) {
+        const p = new Triangulator.#Node(i, x, y);
+        if (last === null) {
+            p.prev = p;
+            p.next = p;
+        } else {
+            p.next = last.next;
+            p.prev = last;
+            last.next.prev = p;
+            last.next = p;
+        }
+        return p;
+    }
+
+    static #removeNode(p) {
+        p.next.prev = p.prev;
+        p.prev.next = p.next;
+    }
+
+    /**
+     * Removes repeated and collinear points between `start` and `end`.
+     */
+    static #filterPoints(start, end = start) {
+        if (start === null) {
+            return start;
+        }
+
+        let p = start;
+        let again;
+        do {
+            again = false;
+            if (!p.steiner && (Triangulator.#equals(p, p.next) || Triangulator.#area(p.prev, p, p.next) === 0)) {
+                Triangulator.#removeNode(p);
+                p = end = p.prev;
+                if (p === p.next) {
+                    break;
+                }
+                again = true;
+            } else {
+                p = p.next;
+            }
+        } while (again || p !== end);
+
+        return end;
+    }
+
+    /**
+     * Splits the polygon in two along the diagonal from `a` to `b`.
+     *
+     * @returns {object} Node of the second polygon.
+     */
+    static #splitPolygon(a, b) {
+        const a2 = new Triangulator.#Node(a.i, a.x, a.y);
+        const b2 = new Triangulator.#Node(b.i, b.x, b.y);
+        const an = a.next;
+        const bp = b.prev;
+
+        a.next = b;
+        b.prev = a;
+
+        a2.next = an;
+        an.prev = a2;
+
+        b2.next = a2;
+        a2.prev = b2;
+
+        bp.next = b2;
+        b2.prev = bp;
+
+        return b2;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Ear clipping
+
+    /**
+     * Clips ears off the polygon. When no ear is left, first removes degenerate
+     * points, then cures self-intersections, and finally splits the polygon in two.
+     */
+    static #earcutLinked(ear, triangles, pass) {
+        if (ear === null) {
+            return;
+        }
+
+        let stop = ear;
+        while (ear.prev !== ear.next) {
+            const prev = ear.prev;
+            const next = ear.next;
+
+            if (Triangulator.#isEar(ear)) {
+                triangles.push(prev.i, ear.i, next.i);
+                Triangulator.#removeNode(ear);
+                ear = next.next;
+                stop = next.next;
+                continue;
+            }
+
+            ear = next;
+            if (ear === stop) {
+                if (pass === 0) {
+                    Triangulator.#earcutLinked(Triangulator.#filterPoints(ear), triangles, 1);
+                } else if (pass === 1) {
+                    ear = Triangulator.#cureLocalIntersections(Triangulator.#filterPoints(ear), triangles);
+                    Triangulator.#earcutLinked(ear, triangles, 2);
+                } else {
+                    Triangulator.#splitEarcut(ear, triangles);
+                }
+                break;
+            }
+        }
+    }
+
+    static #isEar(ear) {
+        const a = ear.prev;
+        const b = ear;
+        const c = ear.next;
+
+        // Reflex corners are no ears
+        if (Triangulator.#area(a, b, c) >= 0) {
+            return false;
+        }
+
+        const x0 = Math.min(a.x, b.x, c.x);
+        const y0 = Math.min(a.y, b.y, c.y);
+        const x1 = Math.max(a.x, b.x, c.x);
+        const y1 = Math.max(a.y, b.y, c.y);
+
+        // No other point may lie inside the ear
+        let p = c.next;
+        while (p !== a) {
+            if (p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1 &&
+                !(p.x === a.x && p.y === a.y) &&
+                Triangulator.#pointInTriangle(a.x, a.y, b.x, b.y, c.x, c.y, p.x, p.y) &&
+                Triangulator.#area(p.prev, p, p.next) >= 0) {
+                return false;
+            }
+            p = p.next;
+        }
+        return true;
+    }
+
+    /**
+     * Clips the triangles of local self-intersections, where segment a-p crosses p.next-b.
+     */
+    static #cureLocalIntersections(start, triangles) {
+        let p = start;
+        do {
+            const a = p.prev;
+            const b = p.next.next;
+
+            if (!Triangulator.#equals(a, b) && Triangulator.#intersects(a, p, p.next, b) &&
+                Triangulator.#locallyInside(a, b) && Triangulator.#locallyInside(b, a)) {
+                triangles.push(a.i, p.i, b.i);
+                Triangulator.#removeNode(p);
+                Triangulator.#removeNode(p.next);
+                p = start = b;
+            }
+            p = p.next;
+        } while (p !== start);
+
+        return Triangulator.#filterPoints(p);
+    }
+
+    /**
+     * Splits the polygon along a valid diagonal and triangulates both halves.
+     */
+    static #splitEarcut(start, triangles) {
+        let a = start;
+        do {
+            let b = a.next.next;
+            while (b !== a.prev) {
+                if (a.i !== b.i && Triangulator.#isValidDiagonal(a, b)) {
+                    let c = Triangulator.#splitPolygon(a, b);
+                    a = Triangulator.#filterPoints(a, a.next);
+                    c = Triangulator.#filterPoints(c, c.next);
+                    Triangulator.#earcutLinked(a, triangles, 0);
+                    Triangulator.#earcutLinked(c, triangles, 0);
+                    return;
+                }
+                b = b.next;
+            }
+            a = a.next;
+        } while (a !== start);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Holes
+
+    /**
+     * Links every hole into the outer loop, from left to right.
+     */
+    static #eliminateHoles(holes, outerNode, indexOf) {
+        const queue = [];
+        holes.forEach(hole => {
+            const list = Triangulator.#linkedList(hole, false, indexOf);
+            if (list === null) {
+                return;
+            }
+            if (list === list.next) {
+                list.steiner = true;
+            }
+            queue.push(Triangulator.#leftmost(list));
+        });
+
+        queue.sort((a, b) => a.x - b.x || a.y - b.y);
+        queue.forEach(hole => {
+            outerNode = Triangulator.#eliminateHole(hole, outerNode);
+        });
+        return outerNode;
+    }
+
+    static #eliminateHole(hole, outerNode) {
+        const bridge = Triangulator.#findHoleBridge(hole, outerNode);
+        if (bridge === null) {
+            return outerNode;
+        }
+
+        const bridgeReverse = Triangulator.#splitPolygon(bridge, hole);
+        Triangulator.#filterPoints(bridgeReverse, bridgeReverse.next);
+        return Triangulator.#filterPoints(bridge, bridge.next);
+    }
+
+    /**
+     * Finds the outer loop node that the leftmost point of a hole can be connected to
+     * without crossing any edge (David Eberly's algorithm).
+     */
+    static #findHoleBridge(hole, outerNode) {
+        const hx = hole.x;
+        const hy = hole.y;
+        let qx = -Infinity;
+        let m = null;
+
+        // Find the nearest segment left of the hole point on a horizontal ray
+        let p = outerNode;
+        do {
+            if (hy <= p.y && hy >= p.next.y && p.next.y !== p.y) {
+                const x = p.x + (hy - p.y) * (p.next.x - p.x) / (p.next.y - p.y);
+                if (x <= hx && x > qx) {
+                    qx = x;
+                    m = p.x < p.next.x ? p : p.next;
+                    if (x === hx) {
+                        // The hole touches the segment
+                        return m;
+                    }
+                }
+            }
+            p = p.next;
+        } while (p !== outerNode);
+
+        if (m === null) {
+            return null;
+        }
+
+        // Use the point with the smallest angle to the ray among those inside the triangle
+        // formed by the hole point, the ray hit and the segment end point
+        const stop = m;
+        const mx = m.x;
+        const my = m.y;
+        let tanMin = Infinity;
+
+        p = m;
+        do {
+            if (hx >= p.x && p.x >= mx && hx !== p.x &&
+                Triangulator.#pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, p.x, p.y)) {
+                const tan = Math.abs(hy - p.y) / (hx - p.x);
+
+                if (Triangulator.#locallyInside(p, hole) &&
+                    (tan < tanMin || (tan === tanMin &&
+                        (p.x > m.x || (p.x === m.x && Triangulator.#sectorContainsSector(m, p)))))) {
+                    m = p;
+                    tanMin = tan;
+                }
+            }
+            p = p.next;
+        } while (p !== stop);
+
+        return m;
+    }
+
+    /**
+     * True if the corner at `m` contains the corner at `p`, for points with equal coordinates.
+     */
+    static #sectorContainsSector(m, p) {
+        return Triangulator.#area(m.prev, m, p.prev) < 0 && Triangulator.#area(p.next, m, m.next) < 0;
+    }
+
+    static #leftmost(start) {
+        let p = start;
+        let leftmost = start;
+        do {
+            if (p.x < leftmost.x || (p.x === leftmost.x && p.y < leftmost.y)) {
+                leftmost = p;
+            }
+            p = p.next;
+        } while (p !== start);
+        return leftmost;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // Predicates
+
+    /**
+     * Twice the signed area of triangle pqr, negative for the winding of the clipped polygon.
+     */
+    static #area(p, q, r) {
+        return (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+    }
+
+    static #equals(p, q) {
+        return p.x === q.x && p.y === q.y;
+    }
+
+    static #pointInTriangle(ax, ay, bx, by, cx, cy, px, py) {
+        return (cx - px) * (ay - py) >= (ax - px) * (cy - py) &&
+               (ax - px) * (by - py) >= (bx - px) * (ay - py) &&
+               (bx - px) * (cy - py) >= (cx - px) * (by - py);
+    }
+
+    /**
+     * True if the diagonal a-b lies inside the polygon and crosses none of its edges.
+     */
+    static #isValidDiagonal(a, b) {
+        return a.next.i !== b.i && a.prev.i !== b.i && !Triangulator.#intersectsPolygon(a, b) &&
+            (Triangulator.#locallyInside(a, b) && Triangulator.#locallyInside(b, a) && Triangulator.#middleInside(a, b) &&
+                (Triangulator.#area(a.prev, a, b.prev) !== 0 || Triangulator.#area(a, b.prev, b) !== 0) ||
+             Triangulator.#equals(a, b) && Triangulator.#area(a.prev, a, a.next) > 0 && Triangulator.#area(b.prev, b, b.next) > 0);
+    }
+
+    /**
+     * True if segments p1-q1 and p2-q2 intersect or touch.
+     */
+    static #intersects(p1, q1, p2, q2) {
+        const o1 = Math.sign(Triangulator.#area(p1, q1, p2));
+        const o2 = Math.sign(Triangulator.#area(p1, q1, q2));
+        const o3 = Math.sign(Triangulator.#area(p2, q2, p1));
+        const o4 = Math.sign(Triangulator.#area(p2, q2, q1));
+
+        return o1 !== o2 && o3 !== o4 ||
+            o1 === 0 && Triangulator.#onSegment(p1, p2, q1) ||
+            o2 === 0 && Triangulator.#onSegment(p1, q2, q1) ||
+            o3 === 0 && Triangulator.#onSegment(p2, p1, q2) ||
+            o4 === 0 && Triangulator.#onSegment(p2, q1, q2);
+    }
+
+    /**
+     * True if q lies within the bounding box of segment p-r.
+     */
+    static #onSegment(p, q, r) {
+        return q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
+               q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+    }
+
+    static #intersectsPolygon(a, b) {
+        let p = a;
+        do {
+            if (p.i !== a.i && p.next.i !== a.i && p.i !== b.i && p.next.i !== b.i &&
+                Triangulator.#intersects(p, p.next, a, b)) {
+                return true;
+            }
+            p = p.next;
+        } while (p !== a);
+        return false;
+    }
+
+    /**
+     * True if the diagonal a-b starts into the polygon at a.
+     */
+    static #locallyInside(a, b) {
+        return Triangulator.#area(a.prev, a, a.next) < 0
+            ? Triangulator.#area(a, b, a.next) >= 0 && Triangulator.#area(a, a.prev, b) >= 0
+            : Triangulator.#area(a, b, a.prev) < 0 || Triangulator.#area(a, a.next, b) < 0;
+    }
+
+    /**
+     * True if the midpoint of the diagonal a-b lies inside the polygon.
+     */
+    static #middleInside(a, b) {
+        const px = (a.x + b.x) / 2;
+        const py = (a.y + b.y) / 2;
+
+        let p = a;
+        let inside = false;
+        do {
+            if (((p.y > py) !== (p.next.y > py)) && p.next.y !== p.y &&
+                (px < (p.next.x - p.x) * (py - p.y) / (p.next.y - p.y) + p.x)) {
+                inside = !inside;
+            }
+            p = p.next;
+        } while (p !== a);
+        return inside;
+    }
+}